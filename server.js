@@ -4,21 +4,31 @@ const { Pool } = require("pg");
 const { ServerClient } = require("postmark");
 const { google } = require("googleapis");
 const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const os = require("os");
+const path = require("path");
 
 const app = express();
 app.set("trust proxy", 1);
 app.use(cors({
   origin: ['https://app.setthetime.com', 'https://link.setthetime.com'],
-  methods: ['GET','POST','OPTIONS'],
+  methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
   allowedHeaders: ['Content-Type','Authorization'],
   credentials: true
 }));
-app.use(express.json());
+// rawBody: payment provider webhooks are signed over the exact bytes
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 /* =========================
    Env
    ========================= */
 const APP_BASE = process.env.APP_BASE_URL || 'https://app.setthetime.com';
+const BOOKING_BASE = process.env.BOOKING_BASE_URL || 'https://link.setthetime.com';
+const API_BASE = process.env.API_BASE_URL || 'https://api.setthetime.com';
 const FROM_EMAIL = process.env.FROM_EMAIL || "service@setthetime.com";
 const SESSION_SECRET = process.env.SESSION_SECRET || "CHANGE_ME";
 
@@ -30,81 +40,928 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: true },
 });
 
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally { client.release(); }
+}
+
+/* =========================
+   Schema (idempotent; applied at startup)
+   ========================= */
+const SCHEMA = [
+  // Weekly working hours per host; meeting types may point at one, else the host default applies
+  `CREATE TABLE IF NOT EXISTS availability_schedules (
+     id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     name        TEXT NOT NULL,
+     timezone    TEXT NOT NULL,
+     weekly      JSONB NOT NULL DEFAULT '{}',
+     is_default  BOOLEAN NOT NULL DEFAULT false,
+     created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+     updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS availability_schedules_one_default
+     ON availability_schedules (user_id) WHERE is_default`,
+  // Date overrides replace the weekly hours for that local date; [] means unavailable all day
+  `CREATE TABLE IF NOT EXISTS availability_overrides (
+     schedule_id UUID NOT NULL REFERENCES availability_schedules(id) ON DELETE CASCADE,
+     date        DATE NOT NULL,
+     intervals   JSONB NOT NULL DEFAULT '[]',
+     PRIMARY KEY (schedule_id, date)
+   )`,
+  `ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS schedule_id UUID
+     REFERENCES availability_schedules(id) ON DELETE SET NULL`,
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS google_event_id TEXT,
+     ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+     ADD COLUMN IF NOT EXISTS cancelled_by TEXT,
+     ADD COLUMN IF NOT EXISTS cancel_reason TEXT,
+     ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now()`,
+  `ALTER TABLE meeting_types
+     ADD COLUMN IF NOT EXISTS buffer_before_minutes INT NOT NULL DEFAULT 0,
+     ADD COLUMN IF NOT EXISTS buffer_after_minutes INT NOT NULL DEFAULT 0,
+     ADD COLUMN IF NOT EXISTS min_notice_minutes INT NOT NULL DEFAULT 0,
+     ADD COLUMN IF NOT EXISTS max_days_ahead INT,
+     ADD COLUMN IF NOT EXISTS slot_interval_minutes INT,
+     ADD COLUMN IF NOT EXISTS max_per_day INT`,
+  // Outbox delivery state: 'queued' -> 'sending' -> 'sent' | back to 'queued' (retry) | 'failed'
+  `ALTER TABLE email_outbox
+     ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0,
+     ADD COLUMN IF NOT EXISTS max_attempts INT NOT NULL DEFAULT 5,
+     ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+     ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+     ADD COLUMN IF NOT EXISTS locked_by TEXT,
+     ADD COLUMN IF NOT EXISTS last_error TEXT,
+     ADD COLUMN IF NOT EXISTS provider_message_id TEXT`,
+  `CREATE INDEX IF NOT EXISTS email_outbox_due ON email_outbox (next_attempt_at) WHERE status = 'queued'`,
+  // Scheduled booking emails: reminders before start_time, optional follow-up after end_time
+  `ALTER TABLE meeting_types
+     ADD COLUMN IF NOT EXISTS reminder_minutes INT[] NOT NULL DEFAULT '{1440,60}',
+     ADD COLUMN IF NOT EXISTS followup_minutes INT`,
+  `ALTER TABLE email_outbox
+     ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+     ADD COLUMN IF NOT EXISTS dedupe_key TEXT`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS email_outbox_dedupe ON email_outbox (dedupe_key)`,
+  // Multi-host meeting types. 'collective': every host must be free and attends;
+  // 'round_robin': any free host, one is assigned per booking (assignment_rule).
+  `ALTER TABLE meeting_types
+     ADD COLUMN IF NOT EXISTS scheduling_type TEXT NOT NULL DEFAULT 'single',
+     ADD COLUMN IF NOT EXISTS assignment_rule TEXT NOT NULL DEFAULT 'least_recent'`,
+  `CREATE TABLE IF NOT EXISTS meeting_type_hosts (
+     meeting_type_id UUID NOT NULL REFERENCES meeting_types(id) ON DELETE CASCADE,
+     user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     priority        INT NOT NULL DEFAULT 0,
+     PRIMARY KEY (meeting_type_id, user_id)
+   )`,
+  // NULL on older rows: the meeting type owner is the only host and holds the event
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS host_user_ids UUID[],
+     ADD COLUMN IF NOT EXISTS organizer_user_id UUID REFERENCES users(id)`,
+  // Calendars that count as busy (none stored = just 'primary') and where new events go
+  `CREATE TABLE IF NOT EXISTS user_calendars (
+     user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     calendar_id TEXT NOT NULL,
+     summary     TEXT,
+     PRIMARY KEY (user_id, calendar_id)
+   )`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS write_calendar_id TEXT`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_id TEXT`,
+  // Intake form: question definitions per meeting type, answers per booking keyed by question id
+  `ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS questions JSONB NOT NULL DEFAULT '[]'`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS answers JSONB`,
+  // Archived types stay readable for their bookings but can't be booked or listed by default
+  `ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ`,
+  `CREATE INDEX IF NOT EXISTS bookings_type_start ON bookings (meeting_type_id, start_time, id)`,
+  // Short-lived reservations while a guest fills in the booking form
+  `CREATE TABLE IF NOT EXISTS slot_holds (
+     id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     meeting_type_id UUID NOT NULL REFERENCES meeting_types(id) ON DELETE CASCADE,
+     host_user_ids   UUID[] NOT NULL,
+     start_time      TIMESTAMPTZ NOT NULL,
+     end_time        TIMESTAMPTZ NOT NULL,
+     expires_at      TIMESTAMPTZ NOT NULL,
+     created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS slot_holds_time ON slot_holds (start_time, end_time)`,
+  // Outbound webhooks: endpoints per user + a delivery queue that doubles as the log
+  `CREATE TABLE IF NOT EXISTS webhook_endpoints (
+     id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     url         TEXT NOT NULL,
+     secret      TEXT NOT NULL,
+     events      TEXT[] NOT NULL,
+     active      BOOLEAN NOT NULL DEFAULT true,
+     created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+     updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+   )`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+     id              BIGSERIAL PRIMARY KEY,
+     endpoint_id     UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+     event           TEXT NOT NULL,
+     payload         JSONB NOT NULL,
+     status          TEXT NOT NULL DEFAULT 'queued',
+     attempts        INT NOT NULL DEFAULT 0,
+     max_attempts    INT NOT NULL DEFAULT 8,
+     next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+     locked_at       TIMESTAMPTZ,
+     locked_by       TEXT,
+     response_status INT,
+     last_error      TEXT,
+     created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+     delivered_at    TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status IN ('queued','sending')`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, id)`,
+  // [{ name, contentType, content (base64) }]
+  `ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS attachments JSONB`,
+  // Bumped on every reschedule/cancel so calendar clients apply updates in order
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS ics_sequence INT NOT NULL DEFAULT 0`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS ical_feed_token TEXT`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS users_ical_feed_token ON users (ical_feed_token)`,
+  // One row per started OAuth flow: PKCE verifier + intent, consumed by the callback
+  `CREATE TABLE IF NOT EXISTS oauth_states (
+     id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     intent        TEXT NOT NULL,
+     user_id       UUID REFERENCES users(id) ON DELETE CASCADE,
+     code_verifier TEXT NOT NULL,
+     return_to     TEXT,
+     expires_at    TIMESTAMPTZ NOT NULL,
+     used_at       TIMESTAMPTZ
+   )`,
+  // Google account id ('sub'), so login finds the linked user even if emails differ
+  `ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS provider_user_id TEXT`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS oauth_tokens_provider_user ON oauth_tokens (provider, provider_user_id)`,
+  // Server-side sessions (the bearer token names a row here) and single-use magic links
+  `CREATE TABLE IF NOT EXISTS sessions (
+     id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     user_id      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     user_agent   TEXT,
+     ip           TEXT,
+     created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+     last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+     expires_at   TIMESTAMPTZ NOT NULL,
+     revoked_at   TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS sessions_user ON sessions (user_id) WHERE revoked_at IS NULL`,
+  `CREATE TABLE IF NOT EXISTS login_links (
+     nonce       TEXT PRIMARY KEY,
+     user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     expires_at  TIMESTAMPTZ NOT NULL,
+     used_at     TIMESTAMPTZ
+   )`,
+  // Fixed-window counters for RATE_LIMIT_STORE=postgres
+  `CREATE UNLOGGED TABLE IF NOT EXISTS rate_limits (
+     key       TEXT PRIMARY KEY,
+     count     INT NOT NULL,
+     reset_at  TIMESTAMPTZ NOT NULL
+   )`,
+  // 'user' | 'admin'; admins see the outbox tooling
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'`,
+  // Email language/timezone of the reader: users for hosts, bookings for guests
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS locale TEXT`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS guest_timezone TEXT`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS guest_locale TEXT`,
+  // Host overrides of the built-in email templates; meeting_type_id NULL = all of the user's types
+  `CREATE TABLE IF NOT EXISTS email_templates (
+     id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     meeting_type_id UUID REFERENCES meeting_types(id) ON DELETE CASCADE,
+     name            TEXT NOT NULL,
+     locale          TEXT NOT NULL,
+     subject         TEXT NOT NULL,
+     text_body       TEXT NOT NULL,
+     html_body       TEXT,
+     updated_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS email_templates_scope
+     ON email_templates (user_id, name, locale, COALESCE(meeting_type_id, '00000000-0000-0000-0000-000000000000'))`,
+  // Which provider holds google_event_id (the event id, whatever the provider)
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_provider TEXT`,
+  `UPDATE bookings SET calendar_provider='google' WHERE calendar_provider IS NULL AND google_event_id IS NOT NULL`,
+  // Local fake calendar provider (FAKE_CALENDAR=1)
+  `CREATE TABLE IF NOT EXISTS fake_calendars (
+     user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     id          TEXT NOT NULL,
+     summary     TEXT,
+     is_primary  BOOLEAN NOT NULL DEFAULT false,
+     access_role TEXT NOT NULL DEFAULT 'owner',
+     PRIMARY KEY (user_id, id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS fake_calendar_events (
+     id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+     user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     calendar_id TEXT NOT NULL,
+     summary     TEXT,
+     description TEXT,
+     start_time  TIMESTAMPTZ NOT NULL,
+     end_time    TIMESTAMPTZ NOT NULL,
+     attendees   TEXT[] NOT NULL DEFAULT '{}',
+     created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+   )`,
+  `CREATE INDEX IF NOT EXISTS fake_calendar_events_range ON fake_calendar_events (user_id, calendar_id, start_time)`,
+  // Public booking pages: /{users.handle}/{meeting_types.slug}; secret types are unlisted
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS handle TEXT`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS users_handle ON users (handle)`,
+  `ALTER TABLE meeting_types
+     ADD COLUMN IF NOT EXISTS slug TEXT,
+     ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS meeting_types_user_slug ON meeting_types (user_id, slug)`,
+  // Where the meeting happens (see parseLocation); bookings keep their own copy plus the join link
+  `ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS location JSONB`,
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS location JSONB,
+     ADD COLUMN IF NOT EXISTS join_url TEXT`,
+  `ALTER TABLE fake_calendar_events
+     ADD COLUMN IF NOT EXISTS location TEXT,
+     ADD COLUMN IF NOT EXISTS join_url TEXT`,
+  // Paid meeting types: bookings wait in 'pending_payment' (slot held) until the provider confirms
+  `ALTER TABLE meeting_types
+     ADD COLUMN IF NOT EXISTS price_cents INT,
+     ADD COLUMN IF NOT EXISTS currency TEXT`,
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS amount_cents INT,
+     ADD COLUMN IF NOT EXISTS currency TEXT,
+     ADD COLUMN IF NOT EXISTS payment_provider TEXT,
+     ADD COLUMN IF NOT EXISTS payment_session_id TEXT,
+     ADD COLUMN IF NOT EXISTS payment_expires_at TIMESTAMPTZ,
+     ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+     ADD COLUMN IF NOT EXISTS payment_locked_at TIMESTAMPTZ`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS bookings_payment_session ON bookings (payment_provider, payment_session_id)`,
+  `ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE`,
+  // Hosting consent: owner_id may put host_id on its multi-host types once host_id accepted.
+  // Invites go to an email (lowercased), account or not; host_id is filled in on accept.
+  `CREATE TABLE IF NOT EXISTS host_invites (
+     owner_id    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     email       TEXT NOT NULL,
+     host_id     UUID REFERENCES users(id) ON DELETE CASCADE,
+     created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+     accepted_at TIMESTAMPTZ,
+     PRIMARY KEY (owner_id, email)
+   )`,
+  // Hosts listed before invites existed never agreed: they get a pending invite and are left
+  // out of availability and assignment until they accept
+  `INSERT INTO host_invites (owner_id, email)
+   SELECT DISTINCT m.user_id, lower(u.email)
+     FROM meeting_type_hosts h
+     JOIN meeting_types m ON m.id = h.meeting_type_id
+     JOIN users u ON u.id = h.user_id
+    WHERE h.user_id <> m.user_id
+   ON CONFLICT DO NOTHING`,
+  // The calendar provider the user picked: set when they connect one (or switch), read by
+  // getCalendarProvider. Existing users keep whichever one was in use.
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_provider TEXT`,
+  `UPDATE users u
+      SET calendar_provider = (SELECT t.provider FROM oauth_tokens t
+                                WHERE t.user_id = u.id AND t.provider IN ('google','fake')
+                                ORDER BY t.updated_at DESC NULLS LAST LIMIT 1)
+    WHERE u.calendar_provider IS NULL
+      AND EXISTS (SELECT 1 FROM oauth_tokens t WHERE t.user_id = u.id AND t.provider IN ('google','fake'))`,
+];
+
+async function ensureSchema() {
+  for (const stmt of SCHEMA) await pool.query(stmt);
+}
+
 /* =========================
-   Email (Postmark; queue until approved)
+   Email (outbox + pluggable transport)
    ========================= */
+// Every email is written to email_outbox first. With MAIL_MODE=send the dispatcher below
+// delivers it through the transport; with 'queue' rows wait for /debug/flush/:id.
 const postmarkToken = process.env.POSTMARK_TOKEN || "";
 const postmark = postmarkToken ? new ServerClient(postmarkToken) : null;
 const mailMode = process.env.MAIL_MODE || "queue"; // 'queue' or 'send'
 
-async function queueEmail({ to, from, subject, text, html, payload }) {
+// sendAt delays delivery; a dedupeKey that already exists makes this a no-op (returns null),
+// except that rows auto-suppressed by a booking change are revived with the new content.
+async function queueEmail({ to, from, subject, text, html, payload, sendAt, bookingId, dedupeKey, attachments }) {
   const q = `
-    INSERT INTO email_outbox (to_email, from_email, subject, text_body, html_body, payload, status)
-    VALUES ($1,$2,$3,$4,$5,$6,'queued')
+    INSERT INTO email_outbox (to_email, from_email, subject, text_body, html_body, payload, status,
+                              next_attempt_at, booking_id, dedupe_key, attachments)
+    VALUES ($1,$2,$3,$4,$5,$6,'queued', COALESCE($7::timestamptz, now()), $8, $9, $10)
+    ON CONFLICT (dedupe_key) DO UPDATE
+       SET status='queued', subject=EXCLUDED.subject, text_body=EXCLUDED.text_body, html_body=EXCLUDED.html_body,
+           payload=EXCLUDED.payload, attachments=EXCLUDED.attachments, next_attempt_at=EXCLUDED.next_attempt_at, attempts=0, last_error=NULL
+     WHERE email_outbox.status='suppressed'
     RETURNING id
   `;
-  const { rows } = await pool.query(q, [to, from, subject, text || null, html || null, payload || null]);
-  return rows[0].id;
+  const { rows } = await pool.query(q, [
+    to, from, subject, text || null, html || null, payload || null,
+    sendAt ? new Date(sendAt).toISOString() : null, bookingId || null, dedupeKey || null,
+    attachments && attachments.length ? JSON.stringify(attachments) : null,
+  ]);
+  return rows.length ? rows[0].id : null;
 }
-async function sendViaPostmark({ to, from, subject, text, html }) {
+async function sendViaPostmark({ to, from, subject, text, html, attachments }) {
   if (!postmark) throw new Error("Postmark not available");
   const result = await postmark.sendEmail({
     From: from, To: to, Subject: subject,
     TextBody: text || undefined, HtmlBody: html || undefined,
+    Attachments: attachments && attachments.length
+      ? attachments.map((a) => ({ Name: a.name, Content: a.content, ContentType: a.contentType, ContentID: null }))
+      : undefined,
     MessageStream: "outbound",
   });
   return result.MessageID;
 }
-async function sendEmail({ to, from, subject, text, html, payload }) {
-  const useQueue = mailMode === "queue" || !postmark;
-  if (useQueue) {
-    const id = await queueEmail({ to, from, subject, text, html, payload });
-    return { queued: true, id };
+async function sendEmail({ to, from, subject, text, html, payload, sendAt, bookingId, dedupeKey, attachments }) {
+  const id = await queueEmail({ to, from, subject, text, html, payload, sendAt, bookingId, dedupeKey, attachments });
+  if (mailMode === "send") setImmediate(kickOutbox);
+  return { queued: true, id };
+}
+
+// Transports: { name, ready, send(msg) -> messageId }. MAIL_TRANSPORT=file writes one JSON
+// file per message to MAIL_FILE_DIR; 'memory' keeps them in `sent` (tests, local dev).
+function makeMailTransport(kind) {
+  if (kind === "file") {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "setthetime-mail");
+    return {
+      name: "file", ready: true,
+      async send(msg) {
+        const id = crypto.randomUUID();
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${Date.now()}-${id}.json`), JSON.stringify(msg, null, 2));
+        return id;
+      },
+    };
   }
-  const messageID = await sendViaPostmark({ to, from, subject, text, html });
-  await pool.query(
-    `INSERT INTO email_outbox (to_email, from_email, subject, text_body, html_body, payload, status, sent_at)
-     VALUES ($1,$2,$3,$4,$5,$6,'sent', now())`,
-    [to, from, subject, text || null, html || null, payload || null]
+  if (kind === "memory") {
+    const sent = [];
+    return {
+      name: "memory", ready: true, sent,
+      async send(msg) {
+        const id = crypto.randomUUID();
+        sent.push({ id, ...msg });
+        return id;
+      },
+    };
+  }
+  return { name: "postmark", ready: !!postmark, send: sendViaPostmark };
+}
+let mailTransport = makeMailTransport(process.env.MAIL_TRANSPORT || "postmark");
+function setMailTransport(t) { mailTransport = t; }
+
+/* ---- outbox dispatcher ---- */
+const OUTBOX_POLL_MS = Number(process.env.OUTBOX_POLL_MS || 15000);
+const OUTBOX_BATCH = 10;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// 30s, 1m, 2m, 4m ... capped at 6h, ±20% jitter so retries from many rows spread out
+function backoffMs(attempt) {
+  const base = Math.min(30 * 1000 * 2 ** (attempt - 1), 6 * 3600 * 1000);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+// SKIP LOCKED lets several processes poll the same table without sending a row twice.
+// Rows stuck in 'sending' (process died mid-send) are picked up again after 5 minutes.
+async function claimOutbox(limit) {
+  const { rows } = await pool.query(
+    `UPDATE email_outbox o
+        SET status='sending', locked_at=now(), locked_by=$1, attempts=o.attempts+1
+      WHERE o.id IN (
+        SELECT id FROM email_outbox
+         WHERE (status='queued' AND next_attempt_at <= now())
+            OR (status='sending' AND locked_at < now() - interval '5 minutes')
+         ORDER BY next_attempt_at, id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED)
+      RETURNING o.*`,
+    [WORKER_ID, limit]
   );
-  return { queued: false, messageID };
+  return rows;
+}
+
+// Sends one claimed row and records the outcome -> { ok, messageId } | { ok:false, error, failed }
+async function deliverOutboxRow(row) {
+  try {
+    const messageId = await mailTransport.send({
+      to: row.to_email, from: row.from_email, subject: row.subject,
+      text: row.text_body, html: row.html_body, attachments: row.attachments || [],
+    });
+    await pool.query(
+      `UPDATE email_outbox
+          SET status='sent', sent_at=now(), provider_message_id=$2, last_error=NULL, locked_at=NULL, locked_by=NULL
+        WHERE id=$1`,
+      [row.id, messageId || null]
+    );
+    return { ok: true, messageId };
+  } catch (e) {
+    const failed = row.attempts >= row.max_attempts;
+    await pool.query(
+      `UPDATE email_outbox
+          SET status=$2, last_error=$3, next_attempt_at=$4, locked_at=NULL, locked_by=NULL
+        WHERE id=$1`,
+      [row.id, failed ? "failed" : "queued", e.message, new Date(Date.now() + backoffMs(row.attempts)).toISOString()]
+    );
+    return { ok: false, error: e.message, failed };
+  }
+}
+
+let outboxRunning = false;
+async function dispatchOutbox() {
+  if (outboxRunning || !mailTransport.ready) return;
+  outboxRunning = true;
+  try {
+    for (;;) {
+      const rows = await claimOutbox(OUTBOX_BATCH);
+      for (const row of rows) await deliverOutboxRow(row);
+      if (rows.length < OUTBOX_BATCH) break;
+    }
+  } finally { outboxRunning = false; }
+}
+function kickOutbox() {
+  dispatchOutbox().catch((e) => console.error("outbox dispatch failed:", e.message));
+}
+function startOutboxDispatcher() {
+  kickOutbox();
+  return setInterval(kickOutbox, OUTBOX_POLL_MS);
+}
+
+/* =========================
+   Email templates (named, localized, per-user / per-meeting-type overrides)
+   ========================= */
+const SUPPORTED_LOCALES = ["en", "es", "de"];
+const DEFAULT_LOCALE = "en";
+
+// Built-ins. {{var}} is replaced (HTML-escaped in the HTML variant), {{#var}}..{{/var}} is kept
+// only when var is set and {{^var}}..{{/var}} only when it isn't. A locale without its own
+// `html` gets one generated from `text`.
+const EMAIL_TEMPLATES = {
+  magic_link: {
+    vars: ["login_url"],
+    en: { subject: "Your setthetime sign-in link",
+          text: "Click to sign in: {{login_url}}\n\nThe link works once and expires in 15 minutes." },
+    es: { subject: "Tu enlace para iniciar sesión en setthetime",
+          text: "Haz clic para iniciar sesión: {{login_url}}\n\nEl enlace funciona una sola vez y caduca en 15 minutos." },
+    de: { subject: "Dein Anmeldelink für setthetime",
+          text: "Hier klicken, um dich anzumelden: {{login_url}}\n\nDer Link funktioniert einmal und läuft nach 15 Minuten ab." },
+  },
+  booking_confirmed_guest: {
+    vars: ["title", "hosts", "when", "reschedule_url", "cancel_url", "location"],
+    en: { subject: "Confirmed: {{title}}",
+          text: "You're booked with {{hosts}}.\nWhen: {{when}}{{#location}}\nWhere: {{location}}{{/location}}\n\nNeed to change plans?\nReschedule: {{reschedule_url}}\nCancel: {{cancel_url}}",
+          html: "<p>You're booked with {{hosts}}.</p><p><strong>{{when}}</strong></p>{{#location}}<p>{{location}}</p>{{/location}}" +
+                "<p>Need to change plans? <a href=\"{{reschedule_url}}\">Reschedule</a> or <a href=\"{{cancel_url}}\">cancel</a>.</p>" },
+    es: { subject: "Confirmada: {{title}}",
+          text: "Tienes una reunión con {{hosts}}.\nCuándo: {{when}}{{#location}}\nDónde: {{location}}{{/location}}\n\n¿Cambio de planes?\nReprogramar: {{reschedule_url}}\nCancelar: {{cancel_url}}",
+          html: "<p>Tienes una reunión con {{hosts}}.</p><p><strong>{{when}}</strong></p>{{#location}}<p>{{location}}</p>{{/location}}" +
+                "<p>¿Cambio de planes? <a href=\"{{reschedule_url}}\">Reprogramar</a> o <a href=\"{{cancel_url}}\">cancelar</a>.</p>" },
+    de: { subject: "Bestätigt: {{title}}",
+          text: "Dein Termin mit {{hosts}} ist gebucht.\nWann: {{when}}{{#location}}\nWo: {{location}}{{/location}}\n\nPläne geändert?\nVerschieben: {{reschedule_url}}\nAbsagen: {{cancel_url}}",
+          html: "<p>Dein Termin mit {{hosts}} ist gebucht.</p><p><strong>{{when}}</strong></p>{{#location}}<p>{{location}}</p>{{/location}}" +
+                "<p>Pläne geändert? <a href=\"{{reschedule_url}}\">Verschieben</a> oder <a href=\"{{cancel_url}}\">absagen</a>.</p>" },
+  },
+  booking_new_host: {
+    vars: ["title", "guest_name", "guest_email", "when", "answers", "location"],
+    en: { subject: "New booking: {{title}}",
+          text: "{{guest_name}} <{{guest_email}}> booked {{title}}.\nWhen: {{when}}{{#location}}\nWhere: {{location}}{{/location}}{{#answers}}\n\n{{answers}}{{/answers}}" },
+    es: { subject: "Nueva reserva: {{title}}",
+          text: "{{guest_name}} <{{guest_email}}> reservó {{title}}.\nCuándo: {{when}}{{#location}}\nDónde: {{location}}{{/location}}{{#answers}}\n\n{{answers}}{{/answers}}" },
+    de: { subject: "Neue Buchung: {{title}}",
+          text: "{{guest_name}} <{{guest_email}}> hat {{title}} gebucht.\nWann: {{when}}{{#location}}\nWo: {{location}}{{/location}}{{#answers}}\n\n{{answers}}{{/answers}}" },
+  },
+  booking_cancelled_guest: {
+    vars: ["title", "hosts", "when", "reason", "by_host"],
+    en: { subject: "Cancelled: {{title}}",
+          text: "Your booking with {{hosts}} on {{when}} was cancelled by {{#by_host}}the host{{/by_host}}{{^by_host}}you{{/by_host}}.{{#reason}}\nReason: {{reason}}{{/reason}}" },
+    es: { subject: "Cancelada: {{title}}",
+          text: "Tu reunión con {{hosts}} el {{when}} fue cancelada por {{#by_host}}el anfitrión{{/by_host}}{{^by_host}}ti{{/by_host}}.{{#reason}}\nMotivo: {{reason}}{{/reason}}" },
+    de: { subject: "Abgesagt: {{title}}",
+          text: "Dein Termin mit {{hosts}} am {{when}} wurde {{#by_host}}vom Gastgeber{{/by_host}}{{^by_host}}von dir{{/by_host}} abgesagt.{{#reason}}\nGrund: {{reason}}{{/reason}}" },
+  },
+  booking_cancelled_host: {
+    vars: ["title", "guest_name", "guest_email", "when", "reason", "by_guest"],
+    en: { subject: "Cancelled: {{title}} with {{guest_name}}",
+          text: "{{guest_name}} <{{guest_email}}> — {{when}} was cancelled by {{#by_guest}}the guest{{/by_guest}}{{^by_guest}}a host{{/by_guest}}.{{#reason}}\nReason: {{reason}}{{/reason}}" },
+    es: { subject: "Cancelada: {{title}} con {{guest_name}}",
+          text: "{{guest_name}} <{{guest_email}}> — {{when}} fue cancelada por {{#by_guest}}el invitado{{/by_guest}}{{^by_guest}}un anfitrión{{/by_guest}}.{{#reason}}\nMotivo: {{reason}}{{/reason}}" },
+    de: { subject: "Abgesagt: {{title}} mit {{guest_name}}",
+          text: "{{guest_name}} <{{guest_email}}> — {{when}} wurde {{#by_guest}}vom Gast{{/by_guest}}{{^by_guest}}von einem Gastgeber{{/by_guest}} abgesagt.{{#reason}}\nGrund: {{reason}}{{/reason}}" },
+  },
+  booking_rescheduled_guest: {
+    vars: ["title", "hosts", "old_when", "when", "reschedule_url", "cancel_url", "location"],
+    en: { subject: "Rescheduled: {{title}}",
+          text: "Your booking with {{hosts}} moved from {{old_when}} to {{when}}.{{#location}}\nWhere: {{location}}{{/location}}\n\nReschedule: {{reschedule_url}}\nCancel: {{cancel_url}}" },
+    es: { subject: "Reprogramada: {{title}}",
+          text: "Tu reunión con {{hosts}} pasó del {{old_when}} al {{when}}.{{#location}}\nDónde: {{location}}{{/location}}\n\nReprogramar: {{reschedule_url}}\nCancelar: {{cancel_url}}" },
+    de: { subject: "Verschoben: {{title}}",
+          text: "Dein Termin mit {{hosts}} wurde von {{old_when}} auf {{when}} verschoben.{{#location}}\nWo: {{location}}{{/location}}\n\nVerschieben: {{reschedule_url}}\nAbsagen: {{cancel_url}}" },
+  },
+  booking_rescheduled_host: {
+    vars: ["title", "guest_name", "guest_email", "old_when", "when", "by_guest"],
+    en: { subject: "Rescheduled: {{title}} with {{guest_name}}",
+          text: "{{guest_name}} <{{guest_email}}> moved from {{old_when}} to {{when}} (changed by {{#by_guest}}the guest{{/by_guest}}{{^by_guest}}a host{{/by_guest}})." },
+    es: { subject: "Reprogramada: {{title}} con {{guest_name}}",
+          text: "{{guest_name}} <{{guest_email}}> pasó del {{old_when}} al {{when}} (cambio hecho por {{#by_guest}}el invitado{{/by_guest}}{{^by_guest}}un anfitrión{{/by_guest}})." },
+    de: { subject: "Verschoben: {{title}} mit {{guest_name}}",
+          text: "{{guest_name}} <{{guest_email}}> wurde von {{old_when}} auf {{when}} verschoben (geändert {{#by_guest}}vom Gast{{/by_guest}}{{^by_guest}}von einem Gastgeber{{/by_guest}})." },
+  },
+  reminder_guest: {
+    vars: ["title", "hosts", "when", "lead", "reschedule_url", "cancel_url", "location"],
+    en: { subject: "Reminder: {{title}} {{lead}}",
+          text: "This is a reminder of your booking with {{hosts}}.\nWhen: {{when}}{{#location}}\nWhere: {{location}}{{/location}}\n\nReschedule: {{reschedule_url}}\nCancel: {{cancel_url}}" },
+    es: { subject: "Recordatorio: {{title}} {{lead}}",
+          text: "Te recordamos tu reunión con {{hosts}}.\nCuándo: {{when}}{{#location}}\nDónde: {{location}}{{/location}}\n\nReprogramar: {{reschedule_url}}\nCancelar: {{cancel_url}}" },
+    de: { subject: "Erinnerung: {{title}} {{lead}}",
+          text: "Eine Erinnerung an deinen Termin mit {{hosts}}.\nWann: {{when}}{{#location}}\nWo: {{location}}{{/location}}\n\nVerschieben: {{reschedule_url}}\nAbsagen: {{cancel_url}}" },
+  },
+  reminder_host: {
+    vars: ["title", "guest_name", "guest_email", "when", "lead", "location"],
+    en: { subject: "Reminder: {{title}} with {{guest_name}} {{lead}}",
+          text: "{{guest_name}} <{{guest_email}}> is booked on {{when}}.{{#location}}\nWhere: {{location}}{{/location}}" },
+    es: { subject: "Recordatorio: {{title}} con {{guest_name}} {{lead}}",
+          text: "{{guest_name}} <{{guest_email}}> tiene una reserva el {{when}}.{{#location}}\nDónde: {{location}}{{/location}}" },
+    de: { subject: "Erinnerung: {{title}} mit {{guest_name}} {{lead}}",
+          text: "{{guest_name}} <{{guest_email}}> ist gebucht: {{when}}.{{#location}}\nWo: {{location}}{{/location}}" },
+  },
+  followup_guest: {
+    vars: ["title", "hosts"],
+    en: { subject: "Thanks for meeting: {{title}}",
+          text: "Thanks for your time with {{hosts}}. Need another slot? Just book again." },
+    es: { subject: "Gracias por la reunión: {{title}}",
+          text: "Gracias por tu tiempo con {{hosts}}. ¿Necesitas otro horario? Vuelve a reservar." },
+    de: { subject: "Danke für das Treffen: {{title}}",
+          text: "Danke für deine Zeit mit {{hosts}}. Brauchst du noch einen Termin? Buche einfach erneut." },
+  },
+  payment_refunded_guest: {
+    vars: ["title", "hosts", "when"],
+    en: { subject: "Refunded: {{title}}",
+          text: "Someone else booked {{title}} with {{hosts}} on {{when}} before your payment went through, so we refunded it in full. Please pick another time." },
+    es: { subject: "Reembolsado: {{title}}",
+          text: "Otra persona reservó {{title}} con {{hosts}} el {{when}} antes de que se completara tu pago, así que te lo hemos reembolsado por completo. Elige otro horario, por favor." },
+    de: { subject: "Erstattet: {{title}}",
+          text: "Jemand anderes hat {{title}} mit {{hosts}} am {{when}} gebucht, bevor deine Zahlung abgeschlossen war. Wir haben dir den vollen Betrag erstattet. Bitte wähle einen anderen Termin." },
+  },
+  host_invite: {
+    vars: ["inviter", "invites_url"],
+    en: { subject: "{{inviter}} invited you to host on setthetime",
+          text: "{{inviter}} would like to add you as a host on their meeting types. If you accept, your busy times count towards their availability and bookings can be put on your calendar.\n\nAccept or decline: {{invites_url}}\n\nNothing changes unless you accept." },
+    es: { subject: "{{inviter}} te invitó a ser anfitrión en setthetime",
+          text: "{{inviter}} quiere añadirte como anfitrión de sus tipos de reunión. Si aceptas, tus horas ocupadas cuentan para su disponibilidad y las reservas pueden añadirse a tu calendario.\n\nAceptar o rechazar: {{invites_url}}\n\nNada cambia a menos que aceptes." },
+    de: { subject: "{{inviter}} hat dich als Gastgeber auf setthetime eingeladen",
+          text: "{{inviter}} möchte dich als Gastgeber zu den eigenen Terminarten hinzufügen. Wenn du annimmst, zählen deine belegten Zeiten für die Verfügbarkeit und Buchungen können in deinen Kalender eingetragen werden.\n\nAnnehmen oder ablehnen: {{invites_url}}\n\nOhne deine Zustimmung ändert sich nichts." },
+  },
+};
+// Overrides can only be set for what hosts send; the sign-in and host invite emails stay ours
+const OVERRIDABLE_TEMPLATES = Object.keys(EMAIL_TEMPLATES).filter((n) => !["magic_link", "host_invite"].includes(n));
+
+// 'es-MX' -> 'es'; anything unsupported -> DEFAULT_LOCALE
+function normalizeLocale(v) {
+  const base = String(v || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+}
+// First supported language of an Accept-Language header, or null
+function localeFromRequest(req) {
+  for (const part of String(req.headers["accept-language"] || "").split(",")) {
+    const base = part.split(";")[0].trim().toLowerCase().split("-")[0];
+    if (SUPPORTED_LOCALES.includes(base)) return base;
+  }
+  return null;
+}
+
+function escapeHtml(v) {
+  return String(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+function renderTemplate(tpl, vars, { html = false } = {}) {
+  const set = (k) => vars[k] != null && vars[k] !== "" && vars[k] !== false;
+  return String(tpl)
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, op, k, inner) => (set(k) === (op === "#") ? inner : ""))
+    .replace(/\{\{(\w+)\}\}/g, (_, k) => {
+      const v = vars[k] == null ? "" : String(vars[k]);
+      return html ? escapeHtml(v).replace(/\n/g, "<br>") : v;
+    });
+}
+// HTML variant for a text-only template: paragraphs, line breaks, *_url placeholders as links
+function textTemplateToHtml(text) {
+  return String(text).split(/\n{2,}/).map((para) =>
+    `<p>${escapeHtml(para).replace(/\{\{(\w+_url)\}\}/g, '<a href="{{$1}}">{{$1}}</a>').replace(/\n/g, "<br>")}</p>`
+  ).join("");
+}
+function emailLayout(inner, locale) {
+  return `<!doctype html><html lang="${locale}"><body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;` +
+    `font-size:15px;line-height:1.5;color:#222">${inner}` +
+    `<p style="color:#888;font-size:12px">setthetime.com</p></body></html>`;
+}
+// Placeholders a template uses that `name` doesn't provide
+function unknownTemplateVars(name, ...parts) {
+  const known = new Set(EMAIL_TEMPLATES[name].vars);
+  const used = parts.filter(Boolean).flatMap((p) => [...String(p).matchAll(/\{\{[#^/]?(\w+)\}\}/g)].map((m) => m[1]));
+  return [...new Set(used.filter((v) => !known.has(v)))];
+}
+
+// Source for (name, locale): the meeting type's override, then the owner's, then built-in
+async function resolveTemplate(name, locale, { ownerId = null, meetingTypeId = null } = {}) {
+  if (ownerId && OVERRIDABLE_TEMPLATES.includes(name)) {
+    const { rows } = await pool.query(
+      `SELECT subject, text_body, html_body, meeting_type_id
+         FROM email_templates
+        WHERE user_id=$1 AND name=$2 AND locale=$3 AND (meeting_type_id IS NULL OR meeting_type_id=$4)
+        ORDER BY meeting_type_id NULLS LAST
+        LIMIT 1`,
+      [ownerId, name, locale, meetingTypeId]
+    );
+    if (rows.length) {
+      const r = rows[0];
+      return { subject: r.subject, text: r.text_body, html: r.html_body || textTemplateToHtml(r.text_body),
+               source: r.meeting_type_id ? "meeting_type" : "user" };
+    }
+  }
+  const t = EMAIL_TEMPLATES[name][locale] || EMAIL_TEMPLATES[name][DEFAULT_LOCALE];
+  return { subject: t.subject, text: t.text, html: t.html || textTemplateToHtml(t.text), source: "default" };
+}
+async function renderEmail(name, locale, vars, scope) {
+  const tpl = await resolveTemplate(name, locale, scope);
+  return {
+    subject: renderTemplate(tpl.subject, vars).replace(/\s+/g, " ").trim(),
+    text: renderTemplate(tpl.text, vars),
+    html: emailLayout(renderTemplate(tpl.html, vars, { html: true }), locale),
+    source: tpl.source,
+  };
+}
+
+// Renders and queues. payload keeps { template, locale, vars, ownerId, meetingTypeId } so the
+// row can be rendered again later (admin re-render after a template fix).
+async function sendTemplatedEmail({ to, template, locale, vars, ownerId = null, meetingTypeId = null, payload = {}, ...rest }) {
+  const loc = normalizeLocale(locale);
+  const { subject, text, html } = await renderEmail(template, loc, vars, { ownerId, meetingTypeId });
+  return sendEmail({
+    to, from: FROM_EMAIL, subject, text, html,
+    payload: { ...payload, template, locale: loc, vars, ownerId, meetingTypeId },
+    ...rest,
+  });
+}
+
+// "Thursday, October 22, 2026, 10:00 – 10:30 AM (Europe/Berlin)" in the reader's language
+function formatWhen(start, end, timeZone, locale) {
+  const fmt = new Intl.DateTimeFormat(locale, {
+    timeZone, weekday: "long", year: "numeric", month: "long", day: "numeric", hour: "numeric", minute: "2-digit",
+  });
+  return `${fmt.formatRange(new Date(start), new Date(end))} (${timeZone})`;
+}
+// Reminder lead time as "in 1 day" / "dentro de 1 día" / "in 1 Tag"
+function formatLead(minutes, locale) {
+  const rtf = new Intl.RelativeTimeFormat(locale, { numeric: "always" });
+  if (minutes % 1440 === 0) return rtf.format(minutes / 1440, "day");
+  if (minutes % 60 === 0) return rtf.format(minutes / 60, "hour");
+  return rtf.format(minutes, "minute");
+}
+
+const LOCATION_PHRASES = {
+  en: { host_calls: "Phone call: the host calls {phone}", guest_calls: "Phone call: the guest calls {phone}", google_meet: "Google Meet" },
+  es: { host_calls: "Llamada: el anfitrión llama al {phone}", guest_calls: "Llamada: el invitado llama al {phone}", google_meet: "Google Meet" },
+  de: { host_calls: "Telefonat: der Gastgeber ruft {phone} an", guest_calls: "Telefonat: der Gast ruft {phone} an", google_meet: "Google Meet" },
+};
+// The booking's location as one line for emails: address, join link or who calls whom
+function describeLocation(bk, locale) {
+  const loc = bk.location;
+  if (!loc) return "";
+  const phrases = LOCATION_PHRASES[locale] || LOCATION_PHRASES[DEFAULT_LOCALE];
+  if (loc.type === "in_person") return loc.address;
+  if (loc.type === "phone") return phrases[`${loc.caller}_calls`].replace("{phone}", loc.phone);
+  return bk.join_url || phrases[loc.type] || "";
+}
+
+// Who reads a booking email, and in which timezone/language (loadBooking() row)
+function guestAudience(bk) {
+  return { email: bk.recipient_email, timezone: bk.guest_timezone || bk.mt_timezone || "UTC", locale: normalizeLocale(bk.guest_locale) };
+}
+function hostAudiences(bk) {
+  return bk.host_profiles.map((h) => ({
+    email: h.email, timezone: h.timezone || bk.mt_timezone || "UTC", locale: normalizeLocale(h.locale),
+  }));
+}
+// Queues `template` for one reader of a booking. extraVars(audience) adds reader-specific
+// values (formatted times, lead) on top of the common booking ones.
+async function sendBookingEmail(bk, audience, template, extraVars = () => ({}), opts = {}) {
+  const vars = {
+    title: bk.title,
+    hosts: bk.host_emails.join(", "),
+    guest_name: bk.recipient_name,
+    guest_email: bk.recipient_email,
+    when: formatWhen(bk.start_time, bk.end_time, audience.timezone, audience.locale),
+    location: describeLocation(bk, audience.locale),
+    ...extraVars(audience),
+  };
+  const known = new Set(EMAIL_TEMPLATES[template].vars);
+  return sendTemplatedEmail({
+    to: audience.email, template, locale: audience.locale,
+    vars: Object.fromEntries(Object.entries(vars).filter(([k]) => known.has(k))),
+    ownerId: bk.user_id, meetingTypeId: bk.meeting_type_id,
+    bookingId: bk.id, ...opts,
+  });
 }
 
 /* =========================
-   Stateless sessions (signed token)
+   Signed tokens + server-side sessions
    ========================= */
+// SESSION_KEYS="k2:newsecret,k1:oldsecret": the first key signs, every listed key verifies.
+// Rotate by prepending a new key and dropping the old one once its tokens have expired.
+// SESSION_SECRET still verifies tokens without a kid (signed before key ids existed), and
+// signs when SESSION_KEYS is unset.
+const SESSION_KEYS = (process.env.SESSION_KEYS || "").split(",").map((k) => k.trim()).filter(Boolean)
+  .map((k) => {
+    // The kid travels in every token body; a malformed entry must not leak part of its secret
+    const i = k.indexOf(":");
+    if (i <= 0 || i === k.length - 1) throw new Error("SESSION_KEYS entries must look like kid:secret");
+    return { kid: k.slice(0, i), secret: k.slice(i + 1) };
+  });
+if (!SESSION_KEYS.length || process.env.SESSION_SECRET) SESSION_KEYS.push({ kid: null, secret: SESSION_SECRET });
+const SESSION_TTL_SEC = 30 * 24 * 3600;
+const LINK_TTL_SEC = 15 * 60;
+
 function b64url(buf) {
   return Buffer.from(buf).toString('base64').replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
 }
+function hmac(secret, body) {
+  return b64url(crypto.createHmac('sha256', secret).update(body).digest());
+}
 function signToken(payloadObj, maxAgeSec = 30 * 24 * 3600) { // 30d
-  const payload = { ...payloadObj, exp: Math.floor(Date.now()/1000) + maxAgeSec };
+  const key = SESSION_KEYS[0];
+  const payload = { ...payloadObj, exp: Math.floor(Date.now()/1000) + maxAgeSec, ...(key.kid ? { kid: key.kid } : {}) };
   const body = b64url(JSON.stringify(payload));
-  const sig = b64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
-  return `${body}.${sig}`;
+  return `${body}.${hmac(key.secret, body)}`;
 }
-function verifyToken(token) {
-  if (!token || !token.includes('.')) return null;
+// -> payload | null. With `kind`, tokens minted for another purpose (a manage link used as a
+// session, say) are rejected too.
+function verifyToken(token, kind) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) return null;
   const [body, sig] = token.split('.');
-  const expected = b64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
-  if (sig !== expected) return null;
   let payload;
   try { payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8')); } catch { return null; }
+  if (!payload || typeof payload !== 'object') return null;
+  // kid only picks the key; the signature check below is what authenticates it
+  const key = SESSION_KEYS.find((k) => k.kid === (payload.kid ?? null));
+  if (!key) return null;
+  const expected = Buffer.from(hmac(key.secret, body));
+  const given = Buffer.from(String(sig));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
   if (!payload.exp || payload.exp < Math.floor(Date.now()/1000)) return null;
+  if (kind && payload.kind !== kind) return null;
   return payload;
 }
-function getAuthUserId(req) {
+
+// Sessions live in the sessions table; the bearer token only names the row, so it can be revoked
+async function createSession(userId, req) {
+  const { rows } = await pool.query(
+    `INSERT INTO sessions (user_id, user_agent, ip, expires_at)
+     VALUES ($1,$2,$3, now() + make_interval(secs => $4)) RETURNING id`,
+    [userId, String(req.headers['user-agent'] || '').slice(0, 300) || null, req.ip || null, SESSION_TTL_SEC]
+  );
+  return signToken({ uid: userId, sid: rows[0].id, kind: "session" }, SESSION_TTL_SEC);
+}
+// -> { userId, sessionId } | null
+async function getAuthSession(req) {
   const h = req.headers['authorization'] || '';
   const m = /^Bearer (.+)$/.exec(Array.isArray(h) ? h[0] : h);
   if (!m) return null;
-  const p = verifyToken(m[1]);
-  return p?.uid || null;
+  const p = verifyToken(m[1], "session");
+  if (!p?.sid) return null;
+  const { rows } = await pool.query(
+    "SELECT user_id, last_seen_at FROM sessions WHERE id=$1 AND revoked_at IS NULL AND expires_at > now()",
+    [p.sid]
+  );
+  if (!rows.length || rows[0].user_id !== p.uid) return null;
+  // Coarse last-seen for the devices list; not worth a write on every request
+  if (Date.now() - new Date(rows[0].last_seen_at).getTime() > 5 * 60 * 1000) {
+    pool.query("UPDATE sessions SET last_seen_at=now() WHERE id=$1", [p.sid]).catch(() => {});
+  }
+  return { userId: p.uid, sessionId: p.sid };
 }
-function requireAuth(req, res, next) {
-  const uid = getAuthUserId(req);
-  if (!uid) return res.status(401).json({ ok:false, error: 'unauthorized' });
-  req.userId = uid;
+async function requireAuth(req, res, next) {
+  let auth;
+  try { auth = await getAuthSession(req); }
+  catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
+  if (!auth) return res.status(401).json({ ok:false, error: 'unauthorized' });
+  req.userId = auth.userId;
+  req.sessionId = auth.sessionId;
   next();
 }
+// requireAuth + users.role = 'admin'
+async function requireAdmin(req, res, next) {
+  await requireAuth(req, res, async () => {
+    try {
+      const { rows } = await pool.query("SELECT role FROM users WHERE id=$1", [req.userId]);
+      if (rows[0]?.role !== 'admin') return res.status(403).json({ ok:false, error: 'forbidden' });
+      next();
+    } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
+  });
+}
+// ADMIN_EMAILS (comma separated) are promoted at startup; there is no API to grant the role
+async function promoteAdmins() {
+  const emails = (process.env.ADMIN_EMAILS || "").split(",").map((e) => e.trim().toLowerCase()).filter(Boolean);
+  if (!emails.length) return;
+  await pool.query("UPDATE users SET role='admin' WHERE lower(email) = ANY($1::text[]) AND role <> 'admin'", [emails]);
+}
+
+/* =========================
+   Rate limiting (public endpoints)
+   ========================= */
+// Stores: { name, hit(key, windowMs) -> { count, resetAt } } counting fixed windows.
+// 'memory' is per process; 'postgres' shares counters between instances.
+function makeRateLimitStore(kind) {
+  if (kind === "postgres") {
+    let hits = 0;
+    return {
+      name: "postgres",
+      async hit(key, windowMs) {
+        if (++hits % 1000 === 0) pool.query("DELETE FROM rate_limits WHERE reset_at < now()").catch(() => {});
+        const { rows } = await pool.query(
+          `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, now() + make_interval(secs => $2))
+           ON CONFLICT (key) DO UPDATE
+              SET count    = CASE WHEN rate_limits.reset_at <= now() THEN 1 ELSE rate_limits.count + 1 END,
+                  reset_at = CASE WHEN rate_limits.reset_at <= now() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+           RETURNING count, reset_at`,
+          [key, windowMs / 1000]
+        );
+        return { count: rows[0].count, resetAt: new Date(rows[0].reset_at).getTime() };
+      },
+    };
+  }
+  const windows = new Map();
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (windows.size > 50000) for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) { w = { count: 0, resetAt: now + windowMs }; windows.set(key, w); }
+      w.count += 1;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+}
+let rateLimitStore = makeRateLimitStore(process.env.RATE_LIMIT_STORE || "memory");
+function setRateLimitStore(s) { rateLimitStore = s; }
+
+const HOUR_MS = 3600 * 1000;
+const RATE_LIMITS = {
+  "signup:ip":         { limit: 10, windowMs: HOUR_MS },
+  "signup:email":      { limit: 3, windowMs: 15 * 60 * 1000 },
+  "consume:ip":        { limit: 30, windowMs: 15 * 60 * 1000 },
+  "send-test:ip":      { limit: 5, windowMs: HOUR_MS },
+  "availability:ip":   { limit: 120, windowMs: 60 * 1000 },
+  "availability:host": { limit: 600, windowMs: 60 * 1000 },
+  "book:ip":           { limit: 20, windowMs: HOUR_MS },
+  "book:email":        { limit: 10, windowMs: 24 * HOUR_MS },
+  "book:host":         { limit: 200, windowMs: HOUR_MS },
+  "holds:ip":          { limit: 60, windowMs: HOUR_MS },
+  "pages:ip":          { limit: 120, windowMs: 60 * 1000 },
+  "host-invites:user": { limit: 20, windowMs: 24 * HOUR_MS },
+};
+
+// Counts one hit for RATE_LIMITS[rule] + key -> null | { retryAfter } (seconds).
+// A broken store fails open: better to serve than to lock everyone out.
+async function checkRate(rule, key) {
+  if (!key) return null;
+  const { limit, windowMs } = RATE_LIMITS[rule];
+  try {
+    const { count, resetAt } = await rateLimitStore.hit(`${rule}:${String(key).toLowerCase()}`, windowMs);
+    return count > limit ? { retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) } : null;
+  } catch (e) {
+    console.error(`rate limit store (${rateLimitStore.name}) failed:`, e.message);
+    return null;
+  }
+}
+// Every limited endpoint answers the same way
+function sendRateLimited(res, { retryAfter }) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ ok: false, error: "too many requests", retryAfter });
+}
+// Middleware: rule keyed by keyFn(req) (default: client IP; trust proxy makes req.ip the real one)
+function rateLimit(rule, keyFn = (req) => req.ip) {
+  return async (req, res, next) => {
+    const limited = await checkRate(rule, keyFn(req));
+    if (limited) return sendRateLimited(res, limited);
+    next();
+  };
+}
+
+// Throwaway inboxes, plus any listed in DISPOSABLE_EMAIL_DOMAINS (comma separated)
+const DISPOSABLE_DOMAINS = new Set([
+  "mailinator.com", "guerrillamail.com", "guerrillamail.net", "sharklasers.com", "10minutemail.com",
+  "tempmail.com", "temp-mail.org", "yopmail.com", "trashmail.com", "getnada.com", "dispostable.com",
+  "maildrop.cc", "throwawaymail.com", "fakeinbox.com", "mailnesia.com", "mintemail.com",
+  ...(process.env.DISPOSABLE_EMAIL_DOMAINS || "").split(",").map((d) => d.trim().toLowerCase()).filter(Boolean),
+]);
+// Plain addr-spec: one @, a dotted domain, nothing that needs quoting (those end up in headers,
+// calendar invites and mailto: URIs)
+const EMAIL_RE = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:".]+$/;
+function isValidEmail(email) {
+  return typeof email === "string" && email.length <= 254 && EMAIL_RE.test(email);
+}
+function isDisposableEmail(email) {
+  const domain = String(email).split("@").pop().toLowerCase();
+  return DISPOSABLE_DOMAINS.has(domain) || [...DISPOSABLE_DOMAINS].some((d) => domain.endsWith(`.${d}`));
+}
+// Open bookings one guest may hold on the same meeting type
+const MAX_UPCOMING_PER_GUEST = 2;
 
 /* =========================
    Google OAuth (Login + Calendar)
@@ -154,6 +1011,172 @@ async function getGoogleAuthForUser(userId) {
   return oauth2;
 }
 
+/* =========================
+   Calendar providers (google + local fake)
+   ========================= */
+// A provider is what the slot rules and booking flow talk to for one user's calendars:
+//   listCalendars()                              -> [{ id, summary, primary, accessRole }]
+//   freeBusy(calendarIds, fromMs, toMs)          -> [{ start, end }] in UTC ms
+//   createEvent(calendarId, event)               -> { id, joinUrl }
+//   updateEvent(calendarId, eventId, { start, end })
+//   deleteEvent(calendarId, eventId)             -> false when the event was already gone
+// where event = { summary, description, location?, conference?, start, end (ISO), attendees: [email] };
+// `conference` asks the provider for a video link (joinUrl is null when it can't make one).
+// Which one a user has is the `provider` of their oauth_tokens row; CalDAV / Microsoft go in
+// CALENDAR_PROVIDERS the same way.
+const FAKE_CALENDAR = process.env.FAKE_CALENDAR === "1";
+
+function isGoneError(e) {
+  const status = e.response?.status || e.code;
+  return status === 404 || status === 410;
+}
+
+function makeGoogleProvider(userId) {
+  let client;
+  const cal = async () => (client ||= google.calendar({ version: "v3", auth: await getGoogleAuthForUser(userId) }));
+  return {
+    name: "google",
+    async listCalendars() {
+      const list = await (await cal()).calendarList.list({ minAccessRole: "freeBusyReader" });
+      return (list.data.items || []).map((c) => ({
+        id: c.id, summary: c.summaryOverride || c.summary || null, primary: !!c.primary, accessRole: c.accessRole,
+      }));
+    },
+    // One freebusy call across all the calendars. A calendar Google can't read fails the whole
+    // check rather than looking free.
+    async freeBusy(calendarIds, fromMs, toMs) {
+      const fb = await (await cal()).freebusy.query({
+        requestBody: {
+          timeMin: new Date(fromMs).toISOString(),
+          timeMax: new Date(toMs).toISOString(),
+          items: calendarIds.map((id) => ({ id })),
+        },
+      });
+      const busy = [];
+      for (const id of calendarIds) {
+        const c = fb.data.calendars?.[id];
+        if (c?.errors?.length) throw new Error(`calendar ${id}: ${c.errors[0].reason}`);
+        for (const b of c?.busy || []) busy.push({ start: new Date(b.start).getTime(), end: new Date(b.end).getTime() });
+      }
+      return busy;
+    },
+    // sendUpdates: "all" — Google emails the invites. conference -> a Meet link via createRequest
+    async createEvent(calendarId, ev) {
+      const resp = await (await cal()).events.insert({
+        calendarId,
+        sendUpdates: "all",
+        ...(ev.conference ? { conferenceDataVersion: 1 } : {}),
+        requestBody: {
+          summary: ev.summary,
+          description: ev.description,
+          location: ev.location || undefined,
+          start: { dateTime: ev.start },
+          end: { dateTime: ev.end },
+          attendees: ev.attendees.map((email) => ({ email })),
+          reminders: { useDefault: true },
+          ...(ev.conference ? {
+            conferenceData: {
+              createRequest: { requestId: crypto.randomUUID(), conferenceSolutionKey: { type: "hangoutsMeet" } },
+            },
+          } : {}),
+        },
+      });
+      const video = resp.data.conferenceData?.entryPoints?.find((p) => p.entryPointType === "video");
+      return { id: resp.data.id, joinUrl: resp.data.hangoutLink || video?.uri || null };
+    },
+    async updateEvent(calendarId, eventId, { start, end }) {
+      await (await cal()).events.patch({
+        calendarId, eventId, sendUpdates: "all",
+        requestBody: { start: { dateTime: start }, end: { dateTime: end } },
+      });
+    },
+    async deleteEvent(calendarId, eventId) {
+      try {
+        await (await cal()).events.delete({ calendarId, eventId, sendUpdates: "all" });
+        return true;
+      } catch (e) {
+        if (isGoneError(e)) return false;
+        throw e;
+      }
+    },
+  };
+}
+
+// Calendars and events kept in Postgres (fake_calendars / fake_calendar_events). For tests and
+// local dev without Google; FAKE_CALENDAR=1 enables the /calendars/fake routes to set it up.
+function makeFakeProvider(userId) {
+  const resolve = async (calendarId) => {
+    if (calendarId !== "primary") return calendarId;
+    const { rows } = await pool.query("SELECT id FROM fake_calendars WHERE user_id=$1 AND is_primary", [userId]);
+    if (!rows.length) throw new Error("fake calendar: no primary calendar");
+    return rows[0].id;
+  };
+  return {
+    name: "fake",
+    async listCalendars() {
+      const { rows } = await pool.query(
+        "SELECT id, summary, is_primary, access_role FROM fake_calendars WHERE user_id=$1 ORDER BY is_primary DESC, id",
+        [userId]
+      );
+      return rows.map((r) => ({ id: r.id, summary: r.summary, primary: r.is_primary, accessRole: r.access_role }));
+    },
+    async freeBusy(calendarIds, fromMs, toMs) {
+      const ids = await Promise.all(calendarIds.map(resolve));
+      const known = await pool.query("SELECT id FROM fake_calendars WHERE user_id=$1 AND id = ANY($2)", [userId, ids]);
+      const missing = ids.filter((id) => !known.rows.some((r) => r.id === id));
+      if (missing.length) throw new Error(`calendar ${missing[0]}: notFound`);
+      const { rows } = await pool.query(
+        `SELECT start_time, end_time FROM fake_calendar_events
+          WHERE user_id=$1 AND calendar_id = ANY($2) AND end_time > $3 AND start_time < $4`,
+        [userId, ids, new Date(fromMs).toISOString(), new Date(toMs).toISOString()]
+      );
+      return rows.map((r) => ({ start: new Date(r.start_time).getTime(), end: new Date(r.end_time).getTime() }));
+    },
+    async createEvent(calendarId, ev) {
+      const { rows } = await pool.query(
+        `INSERT INTO fake_calendar_events (user_id, calendar_id, summary, description, location, start_time, end_time, attendees)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+        [userId, await resolve(calendarId), ev.summary, ev.description || null, ev.location || null, ev.start, ev.end, ev.attendees]
+      );
+      const id = rows[0].id;
+      if (!ev.conference) return { id, joinUrl: null };
+      const joinUrl = `${API_BASE}/fake-meet/${id}`;
+      await pool.query("UPDATE fake_calendar_events SET join_url=$2 WHERE id=$1", [id, joinUrl]);
+      return { id, joinUrl };
+    },
+    async updateEvent(calendarId, eventId, { start, end }) {
+      const { rowCount } = await pool.query(
+        "UPDATE fake_calendar_events SET start_time=$3, end_time=$4 WHERE user_id=$1 AND id::text=$2",
+        [userId, eventId, start, end]
+      );
+      if (!rowCount) throw new Error("fake calendar: event not found");
+    },
+    async deleteEvent(calendarId, eventId) {
+      const { rowCount } = await pool.query(
+        "DELETE FROM fake_calendar_events WHERE user_id=$1 AND id::text=$2", [userId, eventId]
+      );
+      return rowCount > 0;
+    },
+  };
+}
+
+const CALENDAR_PROVIDERS = { google: makeGoogleProvider, fake: makeFakeProvider };
+
+// The user's calendar provider: `name` when given (a booking remembers the one it was written
+// to), otherwise the one they selected (users.calendar_provider). Without a selection that is
+// still connected, the first one they connected; token refreshes never change the choice.
+async function getCalendarProvider(userId, name = null) {
+  const { rows } = await pool.query(
+    `SELECT t.provider FROM oauth_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.user_id=$1 AND t.provider = ANY($2) AND ($3::text IS NULL OR t.provider=$3)
+      ORDER BY t.provider = u.calendar_provider DESC NULLS LAST, t.created_at NULLS LAST, t.provider
+      LIMIT 1`,
+    [userId, Object.keys(CALENDAR_PROVIDERS), name]
+  );
+  if (!rows.length) throw new Error(name ? `${name} calendar not connected for user` : "calendar not connected for user");
+  return CALENDAR_PROVIDERS[rows[0].provider](userId);
+}
+
 /* =========================
    Basic health
    ========================= */
@@ -161,9 +1184,9 @@ app.get("/health", (_req, res) => res.type("text/plain").send("OK"));
 app.get("/", (_req, res) => res.type("text/plain").send("OK"));
 
 /* =========================
-   Email test + outbox debug
+   Email test + outbox admin (admin only)
    ========================= */
-app.get("/send-test", async (req, res) => {
+app.get("/send-test", requireAdmin, rateLimit("send-test:ip"), async (req, res) => {
   try {
     const to = req.query.to;
     if (!to) return res.status(400).json({ ok: false, error: "missing ?to=" });
@@ -176,9 +1199,9 @@ app.get("/send-test", async (req, res) => {
   } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
-app.get("/debug/outbox", async (_req, res) => {
+app.get("/debug/outbox", requireAdmin, async (_req, res) => {
   const { rows } = await pool.query(
-    `SELECT id, to_email, from_email, subject, status, created_at
+    `SELECT id, to_email, from_email, subject, status, attempts, last_error, next_attempt_at, created_at, sent_at
        FROM email_outbox
       ORDER BY id DESC
       LIMIT 20`
@@ -186,33 +1209,191 @@ app.get("/debug/outbox", async (_req, res) => {
   res.json(rows);
 });
 
-app.post("/debug/flush/:id", async (req, res) => {
+// Claims queued rows by id and sends them now, whatever MAIL_MODE says -> [{ id, ok, ... }]
+async function flushOutboxRows(ids) {
+  const { rows } = await pool.query(
+    `UPDATE email_outbox
+        SET status='sending', locked_at=now(), locked_by=$2, attempts=attempts+1
+      WHERE id = ANY($1::bigint[]) AND status='queued'
+      RETURNING *`,
+    [ids, WORKER_ID]
+  );
+  const results = [];
+  for (const row of rows) {
+    const r = await deliverOutboxRow(row);
+    results.push({ id: row.id, ok: r.ok, ...(r.ok ? { messageID: r.messageId } : { error: r.error, failed: r.failed }) });
+  }
+  return results;
+}
+
+app.post("/debug/flush/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!mailTransport.ready) return res.status(400).json({ ok: false, error: `${mailTransport.name} transport not available yet` });
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ ok: false, error: "not found or not queued" });
+    const [r] = await flushOutboxRows([req.params.id]);
+    if (!r) return res.status(404).json({ ok: false, error: "not found or not queued" });
+    if (!r.ok) return res.status(502).json({ ok: false, error: r.error, failed: r.failed });
+    res.json({ ok: true, messageID: r.messageID });
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+const OUTBOX_STATUSES = ["queued", "sending", "sent", "failed", "suppressed", "cancelled"];
+const OUTBOX_BULK_MAX = 100;
+
+// Bulk actions take { ids: [..] } -> list of numeric ids | { error }
+function parseOutboxIds(body) {
+  const ids = (body || {}).ids;
+  if (!Array.isArray(ids) || !ids.length) return { error: "ids must be a non-empty array" };
+  if (ids.length > OUTBOX_BULK_MAX) return { error: `at most ${OUTBOX_BULK_MAX} ids at a time` };
+  if (ids.some((id) => !/^\d+$/.test(String(id)))) return { error: "ids must be outbox row ids" };
+  return { ids: ids.map(String) };
+}
+
+// GET /admin/outbox?status=queued,failed&to=&booking_id=&limit=&cursor=  -> { ok, items, nextCursor }
+app.get("/admin/outbox", requireAdmin, async (req, res) => {
   try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).json({ ok: false, error: "invalid cursor" });
+    const statuses = req.query.status ? String(req.query.status).split(",") : null;
+    if (statuses && statuses.some((st) => !OUTBOX_STATUSES.includes(st))) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${OUTBOX_STATUSES.join(", ")}` });
+    }
     const { rows } = await pool.query(
-      "SELECT * FROM email_outbox WHERE id=$1 AND status='queued'",
-      [req.params.id]
+      `SELECT id, to_email, from_email, subject, status, attempts, max_attempts, last_error, next_attempt_at,
+              booking_id, payload::jsonb->>'kind' AS kind, created_at, sent_at
+         FROM email_outbox
+        WHERE ($1::text[] IS NULL OR status = ANY($1))
+          AND ($2::text IS NULL OR to_email ILIKE $2)
+          AND ($3::uuid IS NULL OR booking_id = $3)
+          AND ($4::bigint IS NULL OR id < $4)
+        ORDER BY id DESC
+        LIMIT $5`,
+      [statuses, req.query.to ? `%${String(req.query.to).replace(/[\\%_]/g, "\\$&")}%` : null,
+       req.query.booking_id || null, cursor ? cursor.id : null, limit + 1]
     );
-    if (!rows.length) return res.status(404).json({ ok: false, error: "not found or not queued" });
-    if (!postmark)   return res.status(400).json({ ok: false, error: "Postmark not available yet" });
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor({ t: last.created_at, id: last.id }) : null;
+    return res.json({ ok: true, items, nextCursor });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Full row: bodies, payload, attachments
+app.get("/admin/outbox/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ ok: false, error: "not found" });
+    const { rows } = await pool.query("SELECT * FROM email_outbox WHERE id=$1", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ ok: false, error: "not found" });
+    return res.json({ ok: true, item: rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
+// The message exactly as the transport would get it. ?format=html renders the HTML body
+// (or the text body, escaped) as a page; attachments are listed with their decoded size.
+app.get("/admin/outbox/:id/preview", requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ ok: false, error: "not found" });
+    const { rows } = await pool.query("SELECT * FROM email_outbox WHERE id=$1", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ ok: false, error: "not found" });
     const row = rows[0];
-    const messageID = await sendViaPostmark({
-      to: row.to_email, from: row.from_email, subject: row.subject,
-      text: row.text_body, html: row.html_body,
+    if (req.query.format === "html") {
+      res.set("content-security-policy", "default-src 'none'; img-src * data:; style-src 'unsafe-inline'");
+      return res.type("html").send(row.html_body || `<pre>${escapeHtml(row.text_body || "")}</pre>`);
+    }
+    return res.json({
+      ok: true,
+      message: {
+        to: row.to_email, from: row.from_email, subject: row.subject,
+        text: row.text_body, html: row.html_body,
+        attachments: (row.attachments || []).map((a) => ({
+          name: a.name, contentType: a.contentType, size: Buffer.from(a.content, "base64").length,
+        })),
+      },
+      status: row.status,
+      sendAt: row.next_attempt_at,
     });
-    await pool.query("UPDATE email_outbox SET status='sent', sent_at=now() WHERE id=$1", [row.id]);
-    res.json({ ok: true, messageID });
-  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Rebuilds subject/bodies of an unsent templated row from payload { template, locale, vars } with
+// the current templates (e.g. after fixing a typo). Attachments are kept as they are.
+app.post("/admin/outbox/:id/rerender", requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ ok: false, error: "not found" });
+    const { rows } = await pool.query("SELECT id, status, payload FROM email_outbox WHERE id=$1", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ ok: false, error: "not found" });
+    const { status, payload } = rows[0];
+    if (!payload || !EMAIL_TEMPLATES[payload.template]) {
+      return res.status(400).json({ ok: false, error: "row was not sent from a template" });
+    }
+    const { subject, text, html } = await renderEmail(payload.template, normalizeLocale(payload.locale), payload.vars || {},
+      { ownerId: payload.ownerId, meetingTypeId: payload.meetingTypeId });
+    const upd = await pool.query(
+      `UPDATE email_outbox SET subject=$2, text_body=$3, html_body=$4
+        WHERE id=$1 AND status IN ('queued','failed','cancelled','suppressed')
+        RETURNING id, status, subject`,
+      [req.params.id, subject, text, html]
+    );
+    if (!upd.rows.length) return res.status(409).json({ ok: false, error: `cannot re-render a ${status} message` });
+    return res.json({ ok: true, item: upd.rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /admin/outbox/flush { ids } -> { ok, results: [{ id, ok, messageID? | error? }] }
+app.post("/admin/outbox/flush", requireAdmin, async (req, res) => {
+  try {
+    const { ids, error } = parseOutboxIds(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!mailTransport.ready) return res.status(400).json({ ok: false, error: `${mailTransport.name} transport not available yet` });
+    return res.json({ ok: true, results: await flushOutboxRows(ids) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Queued (or suppressed) rows are never sent -> { ok, cancelled: [ids] }
+app.post("/admin/outbox/cancel", requireAdmin, async (req, res) => {
+  try {
+    const { ids, error } = parseOutboxIds(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const { rows } = await pool.query(
+      `UPDATE email_outbox SET status='cancelled', last_error='cancelled by admin', locked_at=NULL, locked_by=NULL
+        WHERE id = ANY($1::bigint[]) AND status IN ('queued','suppressed')
+        RETURNING id`,
+      [ids]
+    );
+    return res.json({ ok: true, cancelled: rows.map((r) => r.id) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Failed or cancelled rows go back to the queue with a fresh set of attempts -> { ok, requeued: [ids] }
+app.post("/admin/outbox/requeue", requireAdmin, async (req, res) => {
+  try {
+    const { ids, error } = parseOutboxIds(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const { rows } = await pool.query(
+      `UPDATE email_outbox SET status='queued', attempts=0, next_attempt_at=now()
+        WHERE id = ANY($1::bigint[]) AND status IN ('failed','cancelled')
+        RETURNING id`,
+      [ids]
+    );
+    if (rows.length && mailMode === "send") setImmediate(kickOutbox);
+    return res.json({ ok: true, requeued: rows.map((r) => r.id) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
 /* =========================
    Auth: signup + session
    ========================= */
-// POST /signup  { email, name?, timezone? }  -> { ok, userId, token, loginUrl }
-app.post("/signup", async (req, res) => {
+// POST /signup  { email, name?, timezone?, locale? }  -> { ok, userId }
+// The sign-in link only goes out by email; returning it here would skip the address check.
+app.post("/signup", rateLimit("signup:ip"), async (req, res) => {
   try {
-    const { email, name, timezone } = req.body || {};
+    const { email, name, timezone, locale } = req.body || {};
     if (!email) return res.status(400).json({ ok:false, error: "missing email" });
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ ok:false, error: "invalid timezone" });
+    const limited = await checkRate("signup:email", email);
+    if (limited) return sendRateLimited(res, limited);
+    if (isDisposableEmail(email)) return res.status(400).json({ ok:false, error: "disposable email addresses are not allowed" });
 
     // ensure user exists
     let userId;
@@ -221,115 +1402,311 @@ app.post("/signup", async (req, res) => {
       userId = u1.rows[0].id;
       if (name) await pool.query("UPDATE users SET name=$1 WHERE id=$2", [name, userId]);
       if (timezone) await pool.query("UPDATE users SET timezone=$1 WHERE id=$2", [timezone, userId]);
+      if (locale) await pool.query("UPDATE users SET locale=$1 WHERE id=$2", [normalizeLocale(locale), userId]);
     } else {
       const u2 = await pool.query(
-        "INSERT INTO users (email, name, timezone) VALUES ($1,$2,$3) RETURNING id",
-        [email, name || null, timezone || null]
+        "INSERT INTO users (email, name, timezone, locale) VALUES ($1,$2,$3,$4) RETURNING id",
+        [email, name || null, timezone || null, normalizeLocale(locale || localeFromRequest(req))]
       );
       userId = u2.rows[0].id;
+      await assignHandle(userId, email);
     }
 
-    // issue short-lived login token (15 min)
-    const linkToken = signToken({ uid: userId, kind: "link" }, 15 * 60);
+    // issue short-lived, single-use login token (15 min)
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    await pool.query(
+      "INSERT INTO login_links (nonce, user_id, expires_at) VALUES ($1,$2, now() + make_interval(secs => $3))",
+      [nonce, userId, LINK_TTL_SEC]
+    );
+    const linkToken = signToken({ uid: userId, nonce, kind: "link" }, LINK_TTL_SEC);
     const loginUrl = `${APP_BASE}?token=${encodeURIComponent(linkToken)}`;
 
     // queue magic-link email
-    await sendEmail({
-      to: email, from: FROM_EMAIL,
-      subject: "Your setthetime sign-in link",
-      text: `Click to sign in: ${loginUrl}`
+    const { rows: [user] } = await pool.query("SELECT locale FROM users WHERE id=$1", [userId]);
+    await sendTemplatedEmail({
+      to: email, template: "magic_link", locale: locale || user.locale || localeFromRequest(req),
+      vars: { login_url: loginUrl }, payload: { kind: "magic_link" },
     });
 
-    return res.json({ ok:true, userId, token: linkToken, loginUrl });
+    return res.json({ ok:true, userId });
   } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
 });
 
 // POST /session/consume { token } -> { ok, userId, token }
-app.post("/session/consume", async (req, res) => {
+app.post("/session/consume", rateLimit("consume:ip"), async (req, res) => {
   try {
     const { token } = req.body || {};
-    const p = verifyToken(token);
-    if (!p?.uid) return res.status(400).json({ ok:false, error: "invalid token" });
+    const p = verifyToken(token, "link");
+    if (!p?.uid || !p.nonce) return res.status(400).json({ ok:false, error: "invalid token" });
+    const { rowCount } = await pool.query(
+      `UPDATE login_links SET used_at=now()
+        WHERE nonce=$1 AND user_id=$2 AND used_at IS NULL AND expires_at > now()`,
+      [p.nonce, p.uid]
+    );
+    if (!rowCount) return res.status(400).json({ ok:false, error: "link already used or expired" });
+    await pool.query("DELETE FROM login_links WHERE expires_at < now() - interval '1 day'");
     // issue 30-day session
-    const session = signToken({ uid: p.uid, kind: "session" }, 30 * 24 * 3600);
+    const session = await createSession(p.uid, req);
     return res.json({ ok:true, userId: p.uid, token: session });
   } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
 });
 
 // Who am I?  -> { signedIn, userId? }
-app.get("/auth/me", (req, res) => {
-  const uid = getAuthUserId(req);
-  if (!uid) return res.json({ signedIn: false });
-  res.json({ signedIn: true, userId: uid });
+app.get("/auth/me", async (req, res) => {
+  try {
+    const auth = await getAuthSession(req);
+    if (!auth) return res.json({ signedIn: false });
+    res.json({ signedIn: true, userId: auth.userId });
+  } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+});
+
+// Active sessions ("devices") -> { ok, items: [{ id, user_agent, ip, created_at, last_seen_at, current }] }
+app.get("/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+         FROM sessions
+        WHERE user_id=$1 AND revoked_at IS NULL AND expires_at > now()
+        ORDER BY last_seen_at DESC`,
+      [req.userId]
+    );
+    return res.json({ ok:true, items: rows.map((r) => ({ ...r, current: r.id === req.sessionId })) });
+  } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
+});
+
+app.delete("/auth/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "UPDATE sessions SET revoked_at=now() WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL",
+      [req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok:false, error: "session not found" });
+    return res.json({ ok:true });
+  } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
+});
+
+app.post("/auth/logout", requireAuth, async (req, res) => {
+  try {
+    await pool.query("UPDATE sessions SET revoked_at=now() WHERE id=$1", [req.sessionId]);
+    return res.json({ ok:true });
+  } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
+});
+
+// Signs out every device, this one included
+app.post("/auth/logout-all", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "UPDATE sessions SET revoked_at=now() WHERE user_id=$1 AND revoked_at IS NULL",
+      [req.userId]
+    );
+    return res.json({ ok:true, revoked: rowCount });
+  } catch (e) { return res.status(500).json({ ok:false, error: e.message }); }
 });
 
 /* =========================
    Google OAuth routes (login + calendar connect)
    ========================= */
-app.get("/oauth/google/start", (_req, res) => {
+const OAUTH_STATE_TTL_SEC = 10 * 60;
+const OAUTH_COOKIE = "stt_oauth";
+
+// Only paths inside the app, so the callback can't be used as an open redirect
+function safeReturnTo(v) {
+  if (!v) return null;
+  const str = String(v);
+  if (!str.startsWith("/") || str.startsWith("//") || str.includes("\\")) return null;
+  const u = new URL(str, APP_BASE);
+  return u.origin === new URL(APP_BASE).origin ? u.pathname + u.search : null;
+}
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+function appRedirect(returnTo, params) {
+  const u = new URL(returnTo || "/", APP_BASE);
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, v);
+  return u.toString();
+}
+
+// intent: 'login' (anyone) | 'connect' (link Google to userId). The PKCE verifier stays
+// server-side; `state` is a short-lived signed pointer to it. -> { url, stateId }
+async function googleAuthUrl({ intent, userId = null, returnTo = null }) {
   const oauth2 = makeOAuth();
+  const { codeVerifier, codeChallenge } = await oauth2.generateCodeVerifierAsync();
+  const { rows } = await pool.query(
+    `INSERT INTO oauth_states (intent, user_id, code_verifier, return_to, expires_at)
+     VALUES ($1,$2,$3,$4, now() + make_interval(secs => $5)) RETURNING id`,
+    [intent, userId, codeVerifier, returnTo, OAUTH_STATE_TTL_SEC]
+  );
+  const stateId = rows[0].id;
+  await pool.query("DELETE FROM oauth_states WHERE expires_at < now() - interval '1 day'");
   const url = oauth2.generateAuthUrl({
     access_type: "offline",
     prompt: "consent select_account",
     include_granted_scopes: false,
-    scope: SCOPES
+    scope: SCOPES,
+    state: signToken({ sid: stateId, kind: "oauth_state" }, OAUTH_STATE_TTL_SEC),
+    code_challenge_method: "S256",
+    code_challenge: codeChallenge,
+  });
+  return { url, stateId };
+}
+
+// Every flow's state is also pinned to the browser that started it by a cookie, so a consent
+// URL started by someone else is rejected at the callback: login CSRF, or (worse) a victim's
+// Google account being linked to whoever started a connect flow.
+function setOAuthCookie(res, stateId) {
+  res.cookie(OAUTH_COOKIE, stateId, {
+    httpOnly: true, secure: true, sameSite: "lax", path: "/oauth/google", maxAge: OAUTH_STATE_TTL_SEC * 1000,
   });
-  res.redirect(url);
+}
+
+// Login with Google
+app.get("/oauth/google/start", async (req, res) => {
+  try {
+    const { url, stateId } = await googleAuthUrl({ intent: "login", returnTo: safeReturnTo(req.query.return_to) });
+    setOAuthCookie(res, stateId);
+    res.redirect(url);
+  } catch (e) {
+    res.redirect(appRedirect(null, { error: e.message }));
+  }
+});
+
+// POST /oauth/google/connect { return_to? } -> { ok, url }
+// Signed-in users (e.g. magic link accounts) link Google Calendar; the app navigates to url.
+// The app must call this with credentials so the browser keeps the state cookie.
+app.post("/oauth/google/connect", requireAuth, async (req, res) => {
+  try {
+    const { url, stateId } = await googleAuthUrl({
+      intent: "connect", userId: req.userId, returnTo: safeReturnTo((req.body || {}).return_to),
+    });
+    setOAuthCookie(res, stateId);
+    return res.json({ ok: true, url });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
 app.get("/oauth/google/callback", async (req, res) => {
+  let returnTo = null;
   try {
+    if (req.query.error) return res.redirect(appRedirect(null, { error: String(req.query.error) }));
     const code = req.query.code;
-    if (!code) return res.redirect(`${APP_BASE}?error=Missing%20code`);
+    if (!code) return res.redirect(appRedirect(null, { error: "Missing code" }));
+
+    // Single use: the row is consumed whether or not the rest succeeds
+    const st = verifyToken(String(req.query.state || ""), "oauth_state");
+    if (!st?.sid) return res.redirect(appRedirect(null, { error: "Invalid state" }));
+    const { rows: states } = await pool.query(
+      `UPDATE oauth_states SET used_at=now()
+        WHERE id=$1 AND used_at IS NULL AND expires_at > now()
+        RETURNING intent, user_id, code_verifier, return_to`,
+      [st.sid]
+    );
+    if (!states.length) return res.redirect(appRedirect(null, { error: "Expired or reused state" }));
+    const state = states[0];
+    returnTo = state.return_to;
+    res.clearCookie(OAUTH_COOKIE, { path: "/oauth/google" });
+    if (readCookie(req, OAUTH_COOKIE) !== st.sid) {
+      const what = state.intent === "connect" ? "Calendar connection" : "Sign-in";
+      return res.redirect(appRedirect(returnTo, { error: `${what} was started in another browser` }));
+    }
 
     const oauth2 = makeOAuth();
-    const { tokens } = await oauth2.getToken(code);
+    const { tokens } = await oauth2.getToken({ code, codeVerifier: state.code_verifier });
 
-    // identify the Google user (login)
-    if (!tokens.id_token) return res.redirect(`${APP_BASE}?error=Missing%20id_token`);
+    // identify the Google user
+    if (!tokens.id_token) return res.redirect(appRedirect(returnTo, { error: "Missing id_token" }));
     const ticket = await oauth2.verifyIdToken({
       idToken: tokens.id_token,
       audience: process.env.GOOGLE_CLIENT_ID,
     });
     const payload = ticket.getPayload() || {};
+    const googleId = payload.sub;
     const email = payload.email;
     const name = payload.name || email || 'User';
-    if (!email) return res.redirect(`${APP_BASE}?error=No%20email`);
+    if (!googleId || !email) return res.redirect(appRedirect(returnTo, { error: "No email" }));
+
+    const linked = await pool.query(
+      "SELECT user_id FROM oauth_tokens WHERE provider='google' AND provider_user_id=$1",
+      [googleId]
+    );
+    const linkedUserId = linked.rows[0]?.user_id || null;
 
-    // upsert user
     let userId;
-    const u1 = await pool.query("SELECT id FROM users WHERE email=$1 LIMIT 1", [email]);
-    if (u1.rows.length) {
-      userId = u1.rows[0].id;
-      await pool.query("UPDATE users SET name=COALESCE($1,name) WHERE id=$2", [name, userId]);
+    if (state.intent === "connect") {
+      userId = state.user_id;
+      if (linkedUserId && linkedUserId !== userId) {
+        return res.redirect(appRedirect(returnTo, { error: "This Google account is linked to another user" }));
+      }
+    } else if (linkedUserId) {
+      userId = linkedUserId;
     } else {
-      const u2 = await pool.query("INSERT INTO users (email, name) VALUES ($1,$2) RETURNING id", [email, name]);
-      userId = u2.rows[0].id;
+      // First Google login: attach to the account with this (verified) email, or create one
+      if (payload.email_verified === false) return res.redirect(appRedirect(returnTo, { error: "Google email not verified" }));
+      const u1 = await pool.query("SELECT id FROM users WHERE email=$1 LIMIT 1", [email]);
+      if (u1.rows.length) {
+        userId = u1.rows[0].id;
+        await pool.query("UPDATE users SET name=COALESCE($1,name) WHERE id=$2", [name, userId]);
+      } else {
+        const u2 = await pool.query("INSERT INTO users (email, name) VALUES ($1,$2) RETURNING id", [email, name]);
+        userId = u2.rows[0].id;
+        await assignHandle(userId, email);
+      }
     }
 
     // store Calendar tokens
     const expiryIso = new Date(tokens.expiry_date ?? (Date.now() + 3600 * 1000)).toISOString();
     const scopeStr = (tokens.scope && String(tokens.scope)) || SCOPES.join(" ");
     await pool.query(
-      `INSERT INTO oauth_tokens (user_id, provider, access_token, refresh_token, expiry, scope, created_at, updated_at)
-       VALUES ($1,'google',$2,$3,$4::timestamptz,$5, now(), now())
+      `INSERT INTO oauth_tokens (user_id, provider, access_token, refresh_token, expiry, scope, provider_user_id, created_at, updated_at)
+       VALUES ($1,'google',$2,$3,$4::timestamptz,$5,$6, now(), now())
        ON CONFLICT (user_id, provider)
        DO UPDATE SET access_token = EXCLUDED.access_token,
-                     refresh_token = COALESCE(EXCLUDED.refresh_token, oauth_tokens.refresh_token),
+                     refresh_token = CASE WHEN oauth_tokens.provider_user_id IS DISTINCT FROM EXCLUDED.provider_user_id
+                                          THEN EXCLUDED.refresh_token
+                                          ELSE COALESCE(EXCLUDED.refresh_token, oauth_tokens.refresh_token) END,
                      expiry = EXCLUDED.expiry,
                      scope = EXCLUDED.scope,
+                     provider_user_id = EXCLUDED.provider_user_id,
                      updated_at = now()`,
-      [userId, tokens.access_token, tokens.refresh_token || null, expiryIso, scopeStr]
+      [userId, tokens.access_token, tokens.refresh_token || null, expiryIso, scopeStr, googleId]
     );
+    await withTransaction((client) => setCalendarProvider(client, userId, "google"));
 
-    // issue session and return to app
-    const session = signToken({ uid: userId, kind: "session" }, 30 * 24 * 3600);
-    return res.redirect(`${APP_BASE}?token=${encodeURIComponent(session)}&connected=1`);
+    // Linking keeps the app's existing session; login issues one
+    if (state.intent === "connect") return res.redirect(appRedirect(returnTo, { connected: "1" }));
+    const session = await createSession(userId, req);
+    return res.redirect(appRedirect(returnTo, { token: session, connected: "1" }));
   } catch (e) {
-    return res.redirect(`${APP_BASE}?error=${encodeURIComponent(e.message)}`);
+    return res.redirect(appRedirect(returnTo, { error: e.message }));
   }
 });
 
+// Revokes the grant at Google (best effort: it may already be revoked) and forgets the tokens
+app.post("/oauth/google/disconnect", requireAuth, async (req, res) => {
+  try {
+    const rows = await withTransaction(async (client) => {
+      const { rows: deleted } = await client.query(
+        "DELETE FROM oauth_tokens WHERE user_id=$1 AND provider='google' RETURNING access_token, refresh_token",
+        [req.userId]
+      );
+      const { rows: [u] } = await client.query("SELECT calendar_provider FROM users WHERE id=$1", [req.userId]);
+      if (deleted.length && u.calendar_provider === "google") await setCalendarProvider(client, req.userId, null);
+      return deleted;
+    });
+    if (!rows.length) return res.status(404).json({ ok: false, error: "Google not connected" });
+    let revoked = true;
+    try {
+      await makeOAuth().revokeToken(rows[0].refresh_token || rows[0].access_token);
+    } catch (e) {
+      revoked = false;
+      console.warn(`google revoke failed for ${req.userId}:`, e.message);
+    }
+    return res.json({ ok: true, revoked });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 // Calendar token status for the signed-in user
 app.get("/oauth/google/status", requireAuth, async (req, res) => {
   const { rows } = await pool.query(
@@ -341,193 +1718,2940 @@ app.get("/oauth/google/status", requireAuth, async (req, res) => {
 });
 
 /* =========================
-   Meeting Types (create/list) — per signed-in user
+   Calendars (conflict checking + write target) — per signed-in user
    ========================= */
-app.post("/meeting-types", requireAuth, async (req, res) => {
+async function getCalendarSettings(userId) {
+  const [sel, u] = await Promise.all([
+    pool.query("SELECT calendar_id FROM user_calendars WHERE user_id=$1", [userId]),
+    pool.query("SELECT write_calendar_id FROM users WHERE id=$1", [userId]),
+  ]);
+  return {
+    conflictIds: sel.rows.length ? sel.rows.map((r) => r.calendar_id) : ["primary"],
+    writeId: u.rows[0]?.write_calendar_id || "primary",
+  };
+}
+
+// Switches the user's calendar provider (null = back to the first one connected). Calendar ids
+// only mean something at the provider they came from, so a switch drops the conflict selection
+// and write calendar too and the new provider starts out on its primary calendar.
+async function setCalendarProvider(client, userId, provider) {
+  const { rows: [u] } = await client.query("SELECT calendar_provider FROM users WHERE id=$1 FOR UPDATE", [userId]);
+  if (!u || u.calendar_provider === provider) return;
+  await client.query("UPDATE users SET calendar_provider=$2, write_calendar_id=NULL WHERE id=$1", [userId, provider]);
+  await client.query("DELETE FROM user_calendars WHERE user_id=$1", [userId]);
+}
+
+// GET /calendars -> the user's calendars (at their provider) with their current selection
+app.get("/calendars", requireAuth, async (req, res) => {
   try {
-    const { title, duration_minutes, timezone } = req.body || {};
-    if (!title || !duration_minutes) {
-      return res.status(400).json({ ok: false, error: "missing title or duration_minutes" });
-    }
-    const tz = timezone || "America/New_York";
-    const dur = Number(duration_minutes);
-    if (!Number.isFinite(dur) || dur <= 0) {
-      return res.status(400).json({ ok: false, error: "invalid duration_minutes" });
-    }
-    const { rows } = await pool.query(
-      `INSERT INTO meeting_types (user_id, title, duration_minutes, timezone)
-       VALUES ($1,$2,$3,$4) RETURNING id`,
-      [req.userId, title, dur, tz]
-    );
-    return res.json({ ok: true, id: rows[0].id });
+    const provider = await getCalendarProvider(req.userId);
+    const list = await provider.listCalendars();
+    const { conflictIds, writeId } = await getCalendarSettings(req.userId);
+
+    const items = list.map((c) => ({
+      id: c.id,
+      summary: c.summary,
+      primary: c.primary,
+      accessRole: c.accessRole,
+      check_conflicts: conflictIds.includes(c.id) || (!!c.primary && conflictIds.includes("primary")),
+      is_write: writeId === c.id || (!!c.primary && writeId === "primary"),
+    }));
+    return res.json({ ok: true, provider: provider.name, items });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
-app.get("/meeting-types", requireAuth, async (req, res) => {
+// PUT /calendars { conflict_calendar_ids: [...], write_calendar_id }
+app.put("/calendars", requireAuth, async (req, res) => {
+  try {
+    const { conflict_calendar_ids, write_calendar_id } = req.body || {};
+    if (!Array.isArray(conflict_calendar_ids) || !conflict_calendar_ids.length || !write_calendar_id) {
+      return res.status(400).json({ ok: false, error: "missing conflict_calendar_ids or write_calendar_id" });
+    }
+
+    const list = await (await getCalendarProvider(req.userId)).listCalendars();
+    const known = Object.fromEntries(list.map((c) => [c.id, c]));
+    const primary = list.find((c) => c.primary);
+    if (primary) known.primary = primary;
+
+    const unknown = conflict_calendar_ids.filter((id) => !known[id]);
+    if (unknown.length) return res.status(400).json({ ok: false, error: "unknown calendars", calendars: unknown });
+    const target = known[write_calendar_id];
+    if (!target || !["owner", "writer"].includes(target.accessRole)) {
+      return res.status(400).json({ ok: false, error: "write_calendar_id must be a calendar you can write to" });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query("DELETE FROM user_calendars WHERE user_id=$1", [req.userId]);
+      for (const id of new Set(conflict_calendar_ids)) {
+        await client.query(
+          "INSERT INTO user_calendars (user_id, calendar_id, summary) VALUES ($1,$2,$3)",
+          [req.userId, id, known[id].summary]
+        );
+      }
+      await client.query("UPDATE users SET write_calendar_id=$1 WHERE id=$2", [write_calendar_id, req.userId]);
+    });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PUT /calendars/provider { provider } -> switch between connected calendar providers
+app.put("/calendars/provider", requireAuth, async (req, res) => {
+  try {
+    const provider = (req.body || {}).provider;
+    if (!CALENDAR_PROVIDERS[provider]) {
+      return res.status(400).json({ ok: false, error: `provider must be one of ${Object.keys(CALENDAR_PROVIDERS).join(", ")}` });
+    }
+    const connected = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        "SELECT 1 FROM oauth_tokens WHERE user_id=$1 AND provider=$2",
+        [req.userId, provider]
+      );
+      if (!rows.length) return false;
+      await setCalendarProvider(client, req.userId, provider);
+      return true;
+    });
+    if (!connected) return res.status(400).json({ ok: false, error: `${provider} calendar not connected` });
+    return res.json({ ok: true, provider });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* ---- fake provider setup (FAKE_CALENDAR=1 only) ---- */
+function requireFakeCalendar(_req, res, next) {
+  if (!FAKE_CALENDAR) return res.status(404).json({ ok: false, error: "not found" });
+  return next();
+}
+
+// POST /calendars/fake/connect { calendars?: [{ id, summary?, access_role? }] }
+// Makes the fake provider the user's calendar; a primary calendar named after their email is
+// always there.
+app.post("/calendars/fake/connect", requireFakeCalendar, requireAuth, async (req, res) => {
+  try {
+    const extra = Array.isArray(req.body?.calendars) ? req.body.calendars : [];
+    if (extra.some((c) => !c || typeof c.id !== "string" || !c.id)) {
+      return res.status(400).json({ ok: false, error: "each calendar needs an id" });
+    }
+    if (extra.some((c) => c.access_role && !["owner", "writer", "reader", "freeBusyReader"].includes(c.access_role))) {
+      return res.status(400).json({ ok: false, error: "access_role must be owner, writer, reader or freeBusyReader" });
+    }
+    await withTransaction(async (client) => {
+      const { rows: [u] } = await client.query("SELECT email FROM users WHERE id=$1", [req.userId]);
+      await client.query(
+        `INSERT INTO fake_calendars (user_id, id, summary, is_primary) VALUES ($1,$2,$2,true)
+         ON CONFLICT (user_id, id) DO NOTHING`,
+        [req.userId, u.email]
+      );
+      for (const c of extra) {
+        await client.query(
+          `INSERT INTO fake_calendars (user_id, id, summary, access_role) VALUES ($1,$2,$3,$4)
+           ON CONFLICT (user_id, id) DO UPDATE SET summary=EXCLUDED.summary, access_role=EXCLUDED.access_role`,
+          [req.userId, c.id, c.summary || c.id, c.access_role || "owner"]
+        );
+      }
+      await client.query(
+        `INSERT INTO oauth_tokens (user_id, provider, access_token, created_at, updated_at)
+         VALUES ($1,'fake','fake',now(),now())
+         ON CONFLICT (user_id, provider) DO UPDATE SET updated_at=now()`,
+        [req.userId]
+      );
+      await setCalendarProvider(client, req.userId, "fake");
+    });
+    return res.json({ ok: true, items: await makeFakeProvider(req.userId).listCalendars() });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// GET /calendars/fake/events?calendar_id= -> events on the user's fake calendars
+app.get("/calendars/fake/events", requireFakeCalendar, requireAuth, async (req, res) => {
   try {
     const { rows } = await pool.query(
-      `SELECT id, title, duration_minutes, timezone, created_at
-         FROM meeting_types
-        WHERE user_id=$1
-        ORDER BY created_at DESC
-        LIMIT 50`,
-      [req.userId]
+      `SELECT id, calendar_id, summary, description, location, join_url, start_time, end_time, attendees
+         FROM fake_calendar_events
+        WHERE user_id=$1 AND ($2::text IS NULL OR calendar_id=$2)
+        ORDER BY start_time, id`,
+      [req.userId, req.query.calendar_id || null]
     );
     return res.json({ ok: true, items: rows });
   } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// GET /fake-meet/:id -> the "video call" behind a fake event's join link (no auth: guests open it)
+app.get("/fake-meet/:id", requireFakeCalendar, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT summary, start_time, end_time FROM fake_calendar_events WHERE id::text=$1 AND join_url IS NOT NULL",
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ ok: false, error: "meeting not found" });
+    return res.json({ ok: true, meeting: rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /calendars/fake/events { calendar_id?, summary?, start, end } -> a busy block
+app.post("/calendars/fake/events", requireFakeCalendar, requireAuth, async (req, res) => {
+  try {
+    const { calendar_id, summary, start, end } = req.body || {};
+    const s = new Date(start);
+    const e = new Date(end);
+    if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime()) || e <= s) {
+      return res.status(400).json({ ok: false, error: "start and end must be times with end after start" });
+    }
+    const provider = makeFakeProvider(req.userId);
+    const calendarId = calendar_id || "primary";
+    const known = await provider.listCalendars();
+    if (!known.some((c) => c.id === calendarId || (c.primary && calendarId === "primary"))) {
+      return res.status(404).json({ ok: false, error: "calendar not found" });
+    }
+    const { id } = await provider.createEvent(calendarId, {
+      summary: summary || "Busy", start: s.toISOString(), end: e.toISOString(), attendees: [],
+    });
+    return res.json({ ok: true, id });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
 /* =========================
-   Availability (public, by meetingTypeId -> host)
+   Meeting Types (create/list) — per signed-in user
    ========================= */
-function overlaps(aStart, aEnd, bStart, bEnd) { return aStart < bEnd && bStart < aEnd; }
+const MT_FIELDS = `id, user_id, title, duration_minutes, timezone, schedule_id,
+  buffer_before_minutes, buffer_after_minutes, min_notice_minutes,
+  max_days_ahead, slot_interval_minutes, max_per_day, reminder_minutes, followup_minutes,
+  scheduling_type, assignment_rule, questions, slug, visibility, location, price_cents, currency, archived_at`;
+
+// Scheduling rules; nullable ones mean "no limit" / "same as duration" when null
+const MT_SETTINGS = {
+  buffer_before_minutes: { min: 0, max: 1440 },
+  buffer_after_minutes:  { min: 0, max: 1440 },
+  min_notice_minutes:    { min: 0, max: 365 * 1440 },
+  max_days_ahead:        { min: 1, max: 730, nullable: true },
+  slot_interval_minutes: { min: 5, max: 1440, nullable: true },
+  max_per_day:           { min: 1, max: 1000, nullable: true },
+  followup_minutes:      { min: 0, max: 7 * 1440, nullable: true },
+};
+const MAX_REMINDERS = 5;
+
+/* ---- locations ---- */
+// { type: 'in_person', address } | { type: 'phone', caller: 'host' (guest gives a number when
+// booking) | 'guest' (calls `phone`) } | { type: 'custom_url', url } | { type: 'google_meet' }
+const LOCATION_TYPES = ["in_person", "phone", "custom_url", "google_meet"];
+// Same rule as phone questions (PHONE_RE is with the booking questions)
+function isPhoneNumber(v) {
+  return typeof v === "string" && PHONE_RE.test(v.trim()) && v.replace(/\D/g, "").length >= 6;
+}
+
+// -> { location } (null = none) | { error }
+function parseLocation(v) {
+  if (v == null) return { location: null };
+  if (typeof v !== "object" || !LOCATION_TYPES.includes(v.type)) {
+    return { error: `location.type must be one of ${LOCATION_TYPES.join(", ")}` };
+  }
+  switch (v.type) {
+    case "in_person": {
+      const address = typeof v.address === "string" ? v.address.trim() : "";
+      if (!address || address.length > 500) return { error: "location.address is required (at most 500 characters)" };
+      return { location: { type: v.type, address } };
+    }
+    case "phone": {
+      if (!["host", "guest"].includes(v.caller)) return { error: "location.caller must be host or guest" };
+      if (v.caller === "host") return { location: { type: v.type, caller: "host" } };
+      if (!isPhoneNumber(v.phone)) {
+        return { error: "location.phone must be a phone number the guest can call" };
+      }
+      return { location: { type: v.type, caller: "guest", phone: v.phone.trim() } };
+    }
+    case "custom_url": {
+      let url;
+      try { url = new URL(v.url); } catch { return { error: "location.url must be a valid URL" }; }
+      if (!["http:", "https:"].includes(url.protocol)) return { error: "location.url must be http(s)" };
+      return { location: { type: v.type, url: url.toString() } };
+    }
+    default:
+      return { location: { type: v.type } };
+  }
+}
+// What a booking page may show before booking (no host phone number or private link yet)
+function publicLocation(loc) {
+  if (!loc) return null;
+  if (loc.type === "in_person") return { type: loc.type, address: loc.address };
+  if (loc.type === "phone") return { type: loc.type, caller: loc.caller };
+  return { type: loc.type };
+}
+// The booking's copy: the meeting type's location plus the guest's number when the host calls
+// -> { location } | { error }
+function bookingLocation(loc, guestPhone) {
+  if (!loc) return { location: null };
+  if (loc.type === "phone" && loc.caller === "host") {
+    if (!isPhoneNumber(guestPhone)) return { error: "phone is required: the host will call you" };
+    return { location: { ...loc, phone: guestPhone.trim() } };
+  }
+  return { location: loc };
+}
+// Calendar event `location` field; video links go in joinUrl instead
+function locationText(loc) {
+  if (!loc) return null;
+  if (loc.type === "in_person") return loc.address;
+  if (loc.type === "phone") return loc.phone;
+  if (loc.type === "custom_url") return loc.url;
+  return null;
+}
+
+// slug / visibility / location present in body -> { values } | { error }
+function parsePageSettings(body) {
+  const values = {};
+  if ("slug" in body) {
+    const slug = String(body.slug || "").toLowerCase();
+    if (!SLUG_RE.test(slug)) return { error: "slug must be 1-60 lowercase letters, digits or single hyphens" };
+    values.slug = slug;
+  }
+  if ("visibility" in body) {
+    if (!VISIBILITIES.includes(body.visibility)) return { error: `visibility must be one of ${VISIBILITIES.join(", ")}` };
+    values.visibility = body.visibility;
+  }
+  if ("location" in body) {
+    const { location, error } = parseLocation(body.location);
+    if (error) return { error };
+    values.location = location && JSON.stringify(location);
+  }
+  return { values };
+}
+
+// Validates the MT_SETTINGS keys present in body -> { settings } | { error }
+function parseMeetingTypeSettings(body) {
+  const settings = {};
+  for (const [key, rule] of Object.entries(MT_SETTINGS)) {
+    if (!(key in body)) continue;
+    const v = body[key];
+    if (v === null || v === "") {
+      if (!rule.nullable) return { error: `${key} cannot be empty` };
+      settings[key] = null;
+      continue;
+    }
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < rule.min || n > rule.max) {
+      return { error: `${key} must be an integer between ${rule.min} and ${rule.max}` };
+    }
+    settings[key] = n;
+  }
+  if ("reminder_minutes" in body) {
+    const list = body.reminder_minutes || [];
+    if (!Array.isArray(list) || list.length > MAX_REMINDERS) {
+      return { error: `reminder_minutes must be an array of at most ${MAX_REMINDERS} values` };
+    }
+    const mins = list.map(Number);
+    if (mins.some((n) => !Number.isInteger(n) || n < 1 || n > 30 * 1440)) {
+      return { error: "reminder_minutes values must be integers between 1 and 43200" };
+    }
+    settings.reminder_minutes = [...new Set(mins)].sort((a, b) => b - a);
+  }
+  return { settings };
+}
+
+async function loadMeetingType(id) {
+  const { rows } = await pool.query(`SELECT ${MT_FIELDS} FROM meeting_types WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+async function getOwnedMeetingType(userId, id) {
+  const mt = await loadMeetingType(id);
+  return mt && mt.user_id === userId ? mt : null;
+}
 
-app.get("/availability", async (req, res) => {
+app.post("/meeting-types", requireAuth, async (req, res) => {
   try {
-    const meetingTypeId = req.query.meetingTypeId;
-    const fromIso = req.query.from;
-    const toIso = req.query.to;
-    if (!meetingTypeId || !fromIso || !toIso) {
-      return res.status(400).json({ error: "missing meetingTypeId, from, or to" });
+    const { title, duration_minutes, timezone, schedule_id } = req.body || {};
+    if (!title || !duration_minutes) {
+      return res.status(400).json({ ok: false, error: "missing title or duration_minutes" });
+    }
+    const tz = timezone || "America/New_York";
+    const dur = Number(duration_minutes);
+    if (!Number.isFinite(dur) || dur <= 0) {
+      return res.status(400).json({ ok: false, error: "invalid duration_minutes" });
+    }
+    if (!isValidTimezone(tz)) return res.status(400).json({ ok: false, error: "invalid timezone" });
+    const { settings, error } = parseMeetingTypeSettings(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const { values: page, error: pageError } = parsePageSettings(req.body);
+    if (pageError) return res.status(400).json({ ok: false, error: pageError });
+    const { values: price, error: priceError } = parsePrice(req.body);
+    if (priceError) return res.status(400).json({ ok: false, error: priceError });
+    if (schedule_id && !(await getOwnedSchedule(req.userId, schedule_id))) {
+      return res.status(400).json({ ok: false, error: "unknown schedule_id" });
     }
+    // Settings not given keep their column defaults; no slug -> one from the title
+    const fields = { ...settings, ...page, ...price };
+    const keys = Object.keys(fields);
+    let rows;
+    try {
+      ({ rows } = await pool.query(
+        `INSERT INTO meeting_types (user_id, title, duration_minutes, timezone, schedule_id${keys.map((k) => `, ${k}`).join("")})
+         VALUES ($1,$2,$3,$4,$5${keys.map((_, i) => `,$${i + 6}`).join("")}) RETURNING id, slug`,
+        [req.userId, title, dur, tz, schedule_id || null, ...keys.map((k) => fields[k])]
+      ));
+    } catch (e) {
+      if (e.code === "23505") return res.status(409).json({ ok: false, error: "slug is already used by another meeting type" });
+      throw e;
+    }
+    const slug = rows[0].slug || await assignSlug(rows[0].id, req.userId, title);
+    return res.json({ ok: true, id: rows[0].id, slug });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const mtQ = await pool.query(
-      "SELECT user_id, duration_minutes, timezone FROM meeting_types WHERE id=$1",
-      [meetingTypeId]
+// GET /meeting-types?archived=1&limit=&cursor=  -> { ok, items, nextCursor }
+// created_at is compared at millisecond precision since that's what survives the JSON cursor.
+app.get("/meeting-types", requireAuth, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).json({ ok: false, error: "invalid cursor" });
+    const archived = req.query.archived === "1" || req.query.archived === "true";
+
+    const { rows } = await pool.query(
+      `SELECT ${MT_FIELDS}, created_at
+         FROM meeting_types
+        WHERE user_id=$1
+          AND (archived_at IS NOT NULL) = $2
+          AND ($3::timestamptz IS NULL OR (date_trunc('milliseconds', created_at), id) < ($3, $4::uuid))
+        ORDER BY date_trunc('milliseconds', created_at) DESC, id DESC
+        LIMIT $5`,
+      [req.userId, archived, cursor ? cursor.t : null, cursor ? cursor.id : null, limit + 1]
     );
-    if (!mtQ.rows.length) return res.status(404).json({ error: "meeting type not found" });
+    const items = rows.slice(0, limit);
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ t: items[items.length - 1].created_at, id: items[items.length - 1].id })
+      : null;
+    return res.json({ ok: true, items, nextCursor });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const mt = mtQ.rows[0];
-    const userId = mt.user_id;
+// PATCH /meeting-types/:id { title?, duration_minutes?, timezone?, slug?, visibility?, location?,
+//                            price_cents?, currency?, ...MT_SETTINGS }
+app.patch("/meeting-types/:id", requireAuth, async (req, res) => {
+  try {
+    const mt = await getOwnedMeetingType(req.userId, req.params.id);
+    if (!mt) return res.status(404).json({ ok: false, error: "meeting type not found" });
 
-    const auth = await getGoogleAuthForUser(userId);
-    const calendar = google.calendar({ version: "v3", auth });
+    const body = req.body || {};
+    const { settings, error } = parseMeetingTypeSettings(body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const { values: page, error: pageError } = parsePageSettings(body);
+    if (pageError) return res.status(400).json({ ok: false, error: pageError });
+    const { values: price, error: priceError } = parsePrice(body, mt);
+    if (priceError) return res.status(400).json({ ok: false, error: priceError });
+    const updates = { ...settings, ...page, ...price };
+    if ("title" in body) {
+      if (!body.title) return res.status(400).json({ ok: false, error: "title cannot be empty" });
+      updates.title = String(body.title);
+    }
+    if ("duration_minutes" in body) {
+      const dur = Number(body.duration_minutes);
+      if (!Number.isFinite(dur) || dur <= 0) return res.status(400).json({ ok: false, error: "invalid duration_minutes" });
+      updates.duration_minutes = dur;
+    }
+    if ("timezone" in body) {
+      if (!isValidTimezone(body.timezone)) return res.status(400).json({ ok: false, error: "invalid timezone" });
+      updates.timezone = body.timezone;
+    }
 
-    const timeMin = new Date(fromIso).toISOString();
-    const timeMax = new Date(toIso).toISOString();
+    const keys = Object.keys(updates);
+    if (!keys.length) return res.status(400).json({ ok: false, error: "nothing to update" });
+    let rows;
+    try {
+      ({ rows } = await pool.query(
+        `UPDATE meeting_types SET ${keys.map((k, i) => `${k}=$${i + 2}`).join(", ")}
+          WHERE id=$1 RETURNING ${MT_FIELDS}, created_at`,
+        [mt.id, ...keys.map((k) => updates[k])]
+      ));
+    } catch (e) {
+      if (e.code === "23505") return res.status(409).json({ ok: false, error: "slug is already used by another meeting type" });
+      throw e;
+    }
+    await emitMeetingTypeEvent(mt.id);
+    return res.json({ ok: true, item: rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const fb = await calendar.freebusy.query({
-      requestBody: { timeMin, timeMax, items: [{ id: "primary" }] },
-    });
+// Only types that were never booked can be deleted; others are archived
+app.delete("/meeting-types/:id", requireAuth, async (req, res) => {
+  try {
+    const mt = await getOwnedMeetingType(req.userId, req.params.id);
+    if (!mt) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    const used = await pool.query("SELECT 1 FROM bookings WHERE meeting_type_id=$1 LIMIT 1", [mt.id]);
+    if (used.rows.length) {
+      return res.status(409).json({ ok: false, error: "meeting type has bookings; archive it instead" });
+    }
+    await pool.query("DELETE FROM meeting_types WHERE id=$1", [mt.id]);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const busy = (fb.data.calendars?.primary?.busy || []).map((b) => ({
-      start: new Date(b.start), end: new Date(b.end),
-    }));
+app.post("/meeting-types/:id/archive", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "UPDATE meeting_types SET archived_at=COALESCE(archived_at, now()) WHERE id=$1 AND user_id=$2",
+      [req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    await emitMeetingTypeEvent(req.params.id);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const durMin = Number(mt.duration_minutes);
-    const stepMs = durMin * 60 * 1000;
-    const startMs = new Date(timeMin).getTime();
-    const endMs = new Date(timeMax).getTime();
+app.post("/meeting-types/:id/unarchive", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "UPDATE meeting_types SET archived_at=NULL WHERE id=$1 AND user_id=$2",
+      [req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    await emitMeetingTypeEvent(req.params.id);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const slots = [];
-    for (let t = startMs; t + stepMs <= endMs; t += stepMs) {
-      const slotStart = new Date(t);
-      const slotEnd = new Date(t + stepMs);
-      let conflict = false;
-      for (const b of busy) if (overlaps(slotStart, slotEnd, b.start, b.end)) { conflict = true; break; }
-      if (!conflict) slots.push({ start: slotStart.toISOString(), end: slotEnd.toISOString() });
-    }
+/* ---- hosts (multi-host meeting types) ---- */
+const SCHEDULING_TYPES = ["single", "collective", "round_robin"];
+const ASSIGNMENT_RULES = ["least_recent", "priority"];
 
-    res.json({ meetingTypeId, timeMin, timeMax, durationMinutes: durMin, slots });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+/* ---- host invites: a user hosts someone else's types only after agreeing to ---- */
+// GET /host-invites -> { ok, sent: [...], received: [...] }
+// Sent invites show who the invitee is (user_id, name) only once they accepted.
+app.get("/host-invites", requireAuth, async (req, res) => {
+  try {
+    const { rows: sent } = await pool.query(
+      `SELECT i.host_id AS user_id, i.email, u.name, i.created_at, i.accepted_at
+         FROM host_invites i LEFT JOIN users u ON u.id = i.host_id
+        WHERE i.owner_id=$1
+        ORDER BY i.created_at DESC`,
+      [req.userId]
+    );
+    const { rows: received } = await pool.query(
+      `SELECT i.owner_id AS user_id, u.email, u.name, i.created_at, i.accepted_at
+         FROM host_invites i
+         JOIN users me ON me.id = $1 AND i.email = lower(me.email)
+         JOIN users u ON u.id = i.owner_id
+        ORDER BY i.created_at DESC`,
+      [req.userId]
+    );
+    return res.json({ ok: true, sent, received });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
-/* =========================
-   Booking (public)
-   ========================= */
-/* =========================
-   Booking
-   ========================= */
-app.post("/book", async (req, res) => {
+// POST /host-invites { email } -> invite someone to host your meeting types. The answer is the
+// same whether or not the email has an account, so this can't be used to look accounts up;
+// someone without one sees the invite once they sign up with that email.
+app.post("/host-invites", requireAuth, rateLimit("host-invites:user", (req) => req.userId), async (req, res) => {
   try {
-    const { meetingTypeId, recipient_name, recipient_email, start_time } = req.body;
-    if (!meetingTypeId || !recipient_name || !recipient_email || !start_time) {
-      return res.status(400).json({ ok: false, error: "missing meetingTypeId, recipient_name, recipient_email, or start_time" });
+    const email = String((req.body || {}).email || "").trim().toLowerCase();
+    if (!email) return res.status(400).json({ ok: false, error: "missing email" });
+    if (!isValidEmail(email)) return res.status(400).json({ ok: false, error: "invalid email" });
+    const { rows: [owner] } = await pool.query("SELECT email, name FROM users WHERE id=$1", [req.userId]);
+    if (email === owner.email.toLowerCase()) {
+      return res.status(400).json({ ok: false, error: "you already host your own meeting types" });
     }
-    const start = new Date(start_time);
-    if (Number.isNaN(start.getTime())) return res.status(400).json({ ok: false, error: "invalid start_time" });
 
-    const mtQ = await pool.query(
-      "SELECT id, user_id, title, duration_minutes FROM meeting_types WHERE id=$1",
-      [meetingTypeId]
+    const { rows: created } = await pool.query(
+      `INSERT INTO host_invites (owner_id, email) VALUES ($1,$2)
+       ON CONFLICT (owner_id, email) DO NOTHING RETURNING email`,
+      [req.userId, email]
+    );
+    if (created.length) {
+      const { rows: [host] } = await pool.query("SELECT locale FROM users WHERE lower(email)=$1", [email]);
+      await sendTemplatedEmail({
+        to: email, template: "host_invite", locale: host?.locale,
+        vars: { inviter: owner.name ? `${owner.name} <${owner.email}>` : owner.email, invites_url: `${APP_BASE}/hosting` },
+        payload: { kind: "host_invite" },
+      });
+    }
+    const { rows: [invite] } = await pool.query(
+      "SELECT email, created_at, accepted_at FROM host_invites WHERE owner_id=$1 AND email=$2",
+      [req.userId, email]
     );
-    if (!mtQ.rows.length) return res.status(404).json({ ok: false, error: "meeting type not found" });
-    const mt = mtQ.rows[0];
+    return res.json({ ok: true, invite });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const hostQ = await pool.query("SELECT email FROM users WHERE id=$1", [mt.user_id]);
-    if (!hostQ.rows.length) return res.status(500).json({ ok: false, error: "host user missing" });
-    const hostEmail = hostQ.rows[0].email;
+// POST /host-invites/:ownerId/accept -> the invited user agrees to host ownerId's types
+app.post("/host-invites/:ownerId/accept", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE host_invites i SET host_id=u.id, accepted_at=COALESCE(i.accepted_at, now())
+         FROM users u
+        WHERE u.id=$2 AND i.owner_id::text=$1 AND i.email=lower(u.email)`,
+      [req.params.ownerId, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "invite not found" });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    const end = new Date(start.getTime() + Number(mt.duration_minutes) * 60 * 1000);
-    const startIso = start.toISOString();
-    const endIso = end.toISOString();
+// DELETE /host-invites/:id -> either side ends it (decline, withdraw, or remove a host). The
+// invitee passes the owner's user id; the owner passes the invited email or, once accepted,
+// the host's user id. The host comes off all of the owner's meeting types.
+app.delete("/host-invites/:id", requireAuth, async (req, res) => {
+  try {
+    const { rows: [ended] } = await pool.query(
+      `DELETE FROM host_invites i USING users me
+        WHERE me.id=$1
+          AND ((i.owner_id=$1 AND (i.email=lower($2) OR i.host_id::text=$2))
+            OR (i.owner_id::text=$2 AND i.email=lower(me.email)))
+        RETURNING i.owner_id, i.email`,
+      [req.userId, req.params.id]
+    );
+    if (!ended) return res.status(404).json({ ok: false, error: "invite not found" });
+    const { rows: affected } = await pool.query(
+      `DELETE FROM meeting_type_hosts h USING meeting_types m, users u
+        WHERE m.id = h.meeting_type_id AND m.user_id=$1 AND u.id = h.user_id AND lower(u.email)=$2
+        RETURNING h.meeting_type_id`,
+      [ended.owner_id, ended.email]
+    );
+    for (const r of affected) await emitMeetingTypeEvent(r.meeting_type_id);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    // Double-check busy in Google
-    const auth = await getGoogleAuthForUser(mt.user_id);
-    const calendar = google.calendar({ version: "v3", auth });
-    const fb = await calendar.freebusy.query({
-      requestBody: { timeMin: startIso, timeMax: endIso, items: [{ id: "primary" }] },
-    });
-    const busy = fb.data.calendars?.primary?.busy || [];
-    if (busy.length > 0) return res.status(409).json({ ok: false, error: "slot not available (calendar busy)" });
+app.get("/meeting-types/:id/hosts", requireAuth, async (req, res) => {
+  try {
+    const mt = await getOwnedMeetingType(req.userId, req.params.id);
+    if (!mt) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    const { rows } = await pool.query(
+      `SELECT h.user_id, u.email, u.name, h.priority,
+              h.user_id <> $2 AND i.accepted_at IS NULL AS pending
+         FROM meeting_type_hosts h
+         JOIN users u ON u.id = h.user_id
+         LEFT JOIN host_invites i ON i.owner_id = $2 AND i.host_id = h.user_id
+        WHERE h.meeting_type_id=$1
+        ORDER BY h.priority DESC, u.email`,
+      [mt.id, mt.user_id]
+    );
+    return res.json({ ok: true, scheduling_type: mt.scheduling_type, assignment_rule: mt.assignment_rule, hosts: rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    // Check local bookings overlap
-    const overlapQ = await pool.query(
-      `SELECT 1
-         FROM bookings b
-         JOIN meeting_types m ON m.id = b.meeting_type_id
-        WHERE m.user_id = $1
-          AND b.status = 'confirmed'
-          AND NOT (b.end_time <= $2 OR b.start_time >= $3)
-        LIMIT 1`,
-      [mt.user_id, startIso, endIso]
-    );
-    if (overlapQ.rows.length) return res.status(409).json({ ok: false, error: "slot not available (existing booking)" });
-
-    // Calendar event — **send Google invites automatically**
-    const eventResp = await calendar.events.insert({
-      calendarId: "primary",
-      sendUpdates: "all", // <-- ADD THIS LINE
-      requestBody: {
-        summary: `${mt.title} with ${recipient_name}`,
-        description: `Booked via setthetime.com`,
-        start: { dateTime: startIso },
-        end:   { dateTime: endIso },
-        attendees: [{ email: hostEmail }, { email: recipient_email }],
-        reminders: { useDefault: true }
+// PUT /meeting-types/:id/hosts { scheduling_type, assignment_rule?, hosts: [{ email, priority? }] }
+// Replaces the host list. Hosts must have a setthetime account (and a connected calendar) and
+// have accepted the owner's host invite (see /host-invites); the owner can always host.
+app.put("/meeting-types/:id/hosts", requireAuth, async (req, res) => {
+  try {
+    const mt = await getOwnedMeetingType(req.userId, req.params.id);
+    if (!mt) return res.status(404).json({ ok: false, error: "meeting type not found" });
+
+    const { scheduling_type, assignment_rule, hosts } = req.body || {};
+    if (!SCHEDULING_TYPES.includes(scheduling_type)) {
+      return res.status(400).json({ ok: false, error: `scheduling_type must be one of ${SCHEDULING_TYPES.join(", ")}` });
+    }
+    if (assignment_rule !== undefined && !ASSIGNMENT_RULES.includes(assignment_rule)) {
+      return res.status(400).json({ ok: false, error: `assignment_rule must be one of ${ASSIGNMENT_RULES.join(", ")}` });
+    }
+    const list = scheduling_type === "single" ? [] : hosts;
+    if (!Array.isArray(list) || (scheduling_type !== "single" && !list.length)) {
+      return res.status(400).json({ ok: false, error: "hosts must be a non-empty array" });
+    }
+    for (const h of list) {
+      if (!h || !h.email) return res.status(400).json({ ok: false, error: "each host needs an email" });
+      if (h.priority !== undefined && !Number.isInteger(h.priority)) {
+        return res.status(400).json({ ok: false, error: "host priority must be an integer" });
       }
-    });
-    const eventId = eventResp.data.id;
+    }
 
-    // Store booking
-    const insertQ = await pool.query(
-      `INSERT INTO bookings (meeting_type_id, recipient_name, recipient_email, start_time, end_time, status)
-       VALUES ($1,$2,$3,$4,$5,'confirmed') RETURNING id`,
-      [meetingTypeId, recipient_name, recipient_email, startIso, endIso]
+    const emails = list.map((h) => String(h.email).toLowerCase());
+    const { rows: users } = await pool.query(
+      "SELECT id, lower(email) AS email FROM users WHERE lower(email) = ANY($1::text[])",
+      [emails]
     );
-    const bookingId = insertQ.rows[0].id;
+    const idByEmail = Object.fromEntries(users.map((u) => [u.email, u.id]));
+    // Unknown emails get the same answer as pending invites, so the host list can't be used
+    // to look accounts up either
+    const { rows: accepted } = await pool.query(
+      "SELECT host_id FROM host_invites WHERE owner_id=$1 AND accepted_at IS NOT NULL",
+      [req.userId]
+    );
+    const allowed = new Set([req.userId, ...accepted.map((r) => r.host_id)]);
+    const notAccepted = emails.filter((e) => !idByEmail[e] || !allowed.has(idByEmail[e]));
+    if (notAccepted.length) {
+      return res.status(400).json({ ok: false, error: "hosts have not accepted your invite", emails: notAccepted });
+    }
 
-    // Queue our own confirmations (Google already sent the invite)
-    await sendEmail({
-      to: recipient_email, from: "service@setthetime.com",
-      subject: `Confirmed: ${mt.title}`,
-      text: `You're booked with ${hostEmail} from ${startIso} to ${endIso} (UTC).\nEvent: ${eventId}`
+    await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE meeting_types SET scheduling_type=$1, assignment_rule=COALESCE($2, assignment_rule) WHERE id=$3",
+        [scheduling_type, assignment_rule || null, mt.id]
+      );
+      await client.query("DELETE FROM meeting_type_hosts WHERE meeting_type_id=$1", [mt.id]);
+      for (const [i, h] of list.entries()) {
+        await client.query(
+          `INSERT INTO meeting_type_hosts (meeting_type_id, user_id, priority) VALUES ($1,$2,$3)
+           ON CONFLICT (meeting_type_id, user_id) DO UPDATE SET priority = EXCLUDED.priority`,
+          [mt.id, idByEmail[emails[i]], h.priority || 0]
+        );
+      }
     });
-    await sendEmail({
-      to: hostEmail, from: "service@setthetime.com",
-      subject: `New booking: ${mt.title}`,
-      text: `${recipient_name} <${recipient_email}> booked ${startIso}–${endIso} (UTC).\nEvent: ${eventId}`
+    await emitMeetingTypeEvent(mt.id);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* ---- booking questions (intake form) ---- */
+const QUESTION_TYPES = ["text", "multiline", "single_select", "multi_select", "phone", "checkbox"];
+const QUESTION_ID_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_QUESTIONS = 20;
+const PHONE_RE = /^\+?[0-9 ()\-.]{6,24}$/;
+
+// [{ id, type, label, required?, options?, help? }] -> { questions } | { error }
+function parseQuestions(list) {
+  if (!Array.isArray(list) || list.length > MAX_QUESTIONS) {
+    return { error: `questions must be an array of at most ${MAX_QUESTIONS} items` };
+  }
+  const questions = [];
+  const seen = new Set();
+  for (const q of list) {
+    if (!q || !QUESTION_ID_RE.test(q.id || "")) return { error: "question id must be lowercase letters, digits or _ (max 40)" };
+    if (seen.has(q.id)) return { error: `duplicate question id '${q.id}'` };
+    seen.add(q.id);
+    if (!QUESTION_TYPES.includes(q.type)) return { error: `question '${q.id}': type must be one of ${QUESTION_TYPES.join(", ")}` };
+    if (!q.label || String(q.label).length > 200) return { error: `question '${q.id}': label is required (max 200 chars)` };
+
+    const out = { id: q.id, type: q.type, label: String(q.label), required: !!q.required };
+    if (q.help) out.help = String(q.help).slice(0, 500);
+    if (q.type === "single_select" || q.type === "multi_select") {
+      const opts = Array.isArray(q.options) ? q.options.map((o) => String(o).trim()).filter(Boolean) : [];
+      if (!opts.length || opts.length > 50 || new Set(opts).size !== opts.length || opts.some((o) => o.length > 100)) {
+        return { error: `question '${q.id}': options must be 1-50 unique strings (max 100 chars)` };
+      }
+      out.options = opts;
+    }
+    questions.push(out);
+  }
+  return { questions };
+}
+
+// Checks submitted answers against the definitions -> { answers } | { error }.
+// Unknown keys are dropped; empty optional answers are left out.
+function validateAnswers(questions, input) {
+  const given = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const answers = {};
+  for (const q of questions) {
+    let v = given[q.id];
+    const empty = v === undefined || v === null || v === "" || v === false || (Array.isArray(v) && !v.length);
+    if (empty) {
+      if (q.required) return { error: `"${q.label}" is required` };
+      continue;
+    }
+    switch (q.type) {
+      case "text":
+      case "multiline": {
+        const max = q.type === "text" ? 500 : 5000;
+        if (typeof v !== "string" || v.length > max) return { error: `"${q.label}" must be text (max ${max} chars)` };
+        v = v.trim();
+        if (!v && q.required) return { error: `"${q.label}" is required` };
+        break;
+      }
+      case "phone":
+        if (typeof v !== "string" || !PHONE_RE.test(v.trim()) || v.replace(/\D/g, "").length < 6) {
+          return { error: `"${q.label}" must be a phone number` };
+        }
+        v = v.trim();
+        break;
+      case "single_select":
+        if (!q.options.includes(v)) return { error: `"${q.label}" must be one of the options` };
+        break;
+      case "multi_select":
+        if (!Array.isArray(v) || v.some((o) => !q.options.includes(o))) return { error: `"${q.label}" must be a list of the options` };
+        v = [...new Set(v)];
+        break;
+      case "checkbox":
+        if (v !== true) return { error: `"${q.label}" must be true or false` };
+        break;
+    }
+    if (v !== "") answers[q.id] = v;
+  }
+  return { answers };
+}
+
+// "Label: value" lines for the event description / host email
+function formatAnswers(questions, answers) {
+  if (!answers) return "";
+  return questions
+    .filter((q) => answers[q.id] !== undefined)
+    .map((q) => {
+      const v = answers[q.id];
+      return `${q.label}: ${q.type === "checkbox" ? "Yes" : Array.isArray(v) ? v.join(", ") : v}`;
+    })
+    .join("\n");
+}
+
+// Public: the booking page renders the form from this
+app.get("/meeting-types/:id/questions", async (req, res) => {
+  try {
+    const mt = await loadMeetingType(req.params.id);
+    if (!mt || mt.archived_at) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    return res.json({ ok: true, questions: mt.questions });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PUT /meeting-types/:id/questions { questions: [...] }  (replaces the list)
+app.put("/meeting-types/:id/questions", requireAuth, async (req, res) => {
+  try {
+    const mt = await getOwnedMeetingType(req.userId, req.params.id);
+    if (!mt) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    const { questions, error } = parseQuestions((req.body || {}).questions);
+    if (error) return res.status(400).json({ ok: false, error });
+    await pool.query("UPDATE meeting_types SET questions=$1 WHERE id=$2", [JSON.stringify(questions), mt.id]);
+    await emitMeetingTypeEvent(mt.id);
+    return res.json({ ok: true, questions });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Email templates (overrides + preview) — per signed-in user
+   ========================= */
+const TEMPLATE_LIMITS = { subject: 300, text: 20000, html: 50000 };
+
+// Sample values for previews
+function sampleTemplateVars(locale) {
+  const start = Date.UTC(2030, 0, 15, 15, 0);
+  return {
+    login_url: `${APP_BASE}?token=example`, title: "Intro call", hosts: "host@example.com",
+    guest_name: "Alex Guest", guest_email: "alex@example.com",
+    when: formatWhen(start, start + 30 * MINUTE_MS, "UTC", locale),
+    old_when: formatWhen(start - DAY_MS, start - DAY_MS + 30 * MINUTE_MS, "UTC", locale),
+    reschedule_url: `${BOOKING_BASE}/manage?token=example&action=reschedule`,
+    cancel_url: `${BOOKING_BASE}/manage?token=example&action=cancel`,
+    inviter: "Sam Owner <sam@example.com>", invites_url: `${APP_BASE}/hosting`,
+    answers: "Company: Example Inc", location: "https://meet.google.com/abc-defg-hij", reason: "", by_host: true, by_guest: true, lead: formatLead(60, locale),
+  };
+}
+
+// { subject, text, html? } -> { values } | { error }
+function parseTemplateBody(name, body) {
+  const { subject, text, html } = body || {};
+  if (typeof subject !== "string" || !subject.trim()) return { error: "subject is required" };
+  if (typeof text !== "string" || !text.trim()) return { error: "text is required" };
+  if (html != null && typeof html !== "string") return { error: "html must be a string" };
+  for (const [k, v] of Object.entries({ subject, text, html })) {
+    if (v && v.length > TEMPLATE_LIMITS[k]) return { error: `${k} is too long` };
+  }
+  const unknown = unknownTemplateVars(name, subject, text, html);
+  if (unknown.length) return { error: `unknown variables: ${unknown.join(", ")}` };
+  return { values: { subject, text, html: html || null } };
+}
+
+// GET /email-templates -> { ok, locales, templates: [{ name, vars }], overrides: [...] }
+app.get("/email-templates", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, name, locale, meeting_type_id, subject, text_body, html_body, updated_at
+         FROM email_templates WHERE user_id=$1 ORDER BY name, locale, meeting_type_id NULLS FIRST`,
+      [req.userId]
+    );
+    return res.json({
+      ok: true,
+      locales: SUPPORTED_LOCALES,
+      templates: OVERRIDABLE_TEMPLATES.map((name) => ({ name, vars: EMAIL_TEMPLATES[name].vars })),
+      overrides: rows,
     });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
-    return res.json({ ok: true, bookingId, eventId, start: startIso, end: endIso });
-  } catch (e) {
-    return res.status(500).json({ ok: false, error: e.message });
+// Validates :name, ?locale and the optional meeting_type_id (must be the user's) -> { scope } | { status, error }
+async function templateScope(req, locale, meetingTypeId) {
+  if (!OVERRIDABLE_TEMPLATES.includes(req.params.name)) return { status: 404, error: "unknown template" };
+  if (!SUPPORTED_LOCALES.includes(locale)) return { status: 400, error: `locale must be one of ${SUPPORTED_LOCALES.join(", ")}` };
+  if (meetingTypeId && !(await getOwnedMeetingType(req.userId, meetingTypeId))) {
+    return { status: 404, error: "meeting type not found" };
   }
+  return { scope: { name: req.params.name, locale, meetingTypeId: meetingTypeId || null } };
+}
+
+// PUT /email-templates/:name { locale, meeting_type_id?, subject, text, html? }
+app.put("/email-templates/:name", requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { scope, status, error: scopeError } = await templateScope(req, body.locale, body.meeting_type_id);
+    if (scopeError) return res.status(status).json({ ok: false, error: scopeError });
+    const { values, error } = parseTemplateBody(scope.name, body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const item = await withTransaction(async (client) => {
+      await client.query(
+        `DELETE FROM email_templates
+          WHERE user_id=$1 AND name=$2 AND locale=$3 AND meeting_type_id IS NOT DISTINCT FROM $4`,
+        [req.userId, scope.name, scope.locale, scope.meetingTypeId]
+      );
+      const { rows } = await client.query(
+        `INSERT INTO email_templates (user_id, meeting_type_id, name, locale, subject, text_body, html_body)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         RETURNING id, name, locale, meeting_type_id, subject, text_body, html_body, updated_at`,
+        [req.userId, scope.meetingTypeId, scope.name, scope.locale, values.subject, values.text, values.html]
+      );
+      return rows[0];
+    });
+    return res.json({ ok: true, item });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// DELETE /email-templates/:name?locale=&meeting_type_id=  (back to the next fallback)
+app.delete("/email-templates/:name", requireAuth, async (req, res) => {
+  try {
+    const { scope, status, error } = await templateScope(req, req.query.locale, req.query.meeting_type_id);
+    if (error) return res.status(status).json({ ok: false, error });
+    const { rowCount } = await pool.query(
+      `DELETE FROM email_templates
+        WHERE user_id=$1 AND name=$2 AND locale=$3 AND meeting_type_id IS NOT DISTINCT FROM $4`,
+      [req.userId, scope.name, scope.locale, scope.meetingTypeId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "override not found" });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// POST /email-templates/:name/preview { locale, meeting_type_id?, subject?, text?, html? }
+// Renders a draft when subject/text are given, otherwise whatever would be used now.
+app.post("/email-templates/:name/preview", requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const locale = body.locale || DEFAULT_LOCALE;
+    const { scope, status, error: scopeError } = await templateScope(req, locale, body.meeting_type_id);
+    if (scopeError) return res.status(status).json({ ok: false, error: scopeError });
+    const vars = sampleTemplateVars(locale);
+
+    if (body.subject !== undefined || body.text !== undefined) {
+      const { values, error } = parseTemplateBody(scope.name, body);
+      if (error) return res.status(400).json({ ok: false, error });
+      return res.json({
+        ok: true, source: "draft",
+        subject: renderTemplate(values.subject, vars),
+        text: renderTemplate(values.text, vars),
+        html: emailLayout(renderTemplate(values.html || textTemplateToHtml(values.text), vars, { html: true }), locale),
+      });
+    }
+    const out = await renderEmail(scope.name, locale, vars, { ownerId: req.userId, meetingTypeId: scope.meetingTypeId });
+    return res.json({ ok: true, ...out });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
 
 /* =========================
-   Start server
+   Availability schedules (weekly hours + date overrides) — per signed-in user
    ========================= */
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`API listening on ${PORT}`));
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const NINE_TO_FIVE = [{ start: "09:00", end: "17:00" }];
+// Used when neither the meeting type nor the host has a schedule
+const DEFAULT_WEEKLY = { mon: NINE_TO_FIVE, tue: NINE_TO_FIVE, wed: NINE_TO_FIVE, thu: NINE_TO_FIVE, fri: NINE_TO_FIVE };
+
+const HHMM_RE = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(tz) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; } catch { return false; }
+}
+// YYYY-MM-DD that names a real day (no 2026-02-30); Date.UTC would roll those over
+function isValidDate(s) {
+  if (!DATE_RE.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const t = new Date(Date.UTC(y, m - 1, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === m - 1 && t.getUTCDate() === d;
+}
+function hhmmToMinutes(s) {
+  const [h, m] = s.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// -> { intervals } | { error }
+function parseIntervals(list, label) {
+  if (!Array.isArray(list)) return { error: `${label} must be an array` };
+  const intervals = [];
+  for (const iv of list) {
+    if (!iv || !HHMM_RE.test(iv.start) || !HHMM_RE.test(iv.end)) {
+      return { error: `${label}: each interval needs start and end as HH:MM` };
+    }
+    if (hhmmToMinutes(iv.start) >= hhmmToMinutes(iv.end)) {
+      return { error: `${label}: interval start must be before end` };
+    }
+    intervals.push({ start: iv.start, end: iv.end });
+  }
+  intervals.sort((a, b) => hhmmToMinutes(a.start) - hhmmToMinutes(b.start));
+  for (let i = 1; i < intervals.length; i++) {
+    if (hhmmToMinutes(intervals[i].start) < hhmmToMinutes(intervals[i - 1].end)) {
+      return { error: `${label}: intervals overlap` };
+    }
+  }
+  return { intervals };
+}
+
+// { mon: [{start,end}], ... } -> { weekly } | { error }
+function parseWeekly(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "weekly must be an object keyed by weekday" };
+  const weekly = {};
+  for (const [day, list] of Object.entries(input)) {
+    if (!WEEKDAYS.includes(day)) return { error: `unknown weekday '${day}' (use ${WEEKDAYS.join(", ")})` };
+    const r = parseIntervals(list, `weekly.${day}`);
+    if (r.error) return r;
+    if (r.intervals.length) weekly[day] = r.intervals;
+  }
+  return { weekly };
+}
+
+/* ---- time zone math (Intl only; DST-safe) ---- */
+const tzFormatters = new Map();
+function tzParts(ms, timeZone) {
+  let fmt = tzFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    tzFormatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) p[type] = value;
+  return p;
+}
+function tzOffsetMs(ms, timeZone) {
+  const p = tzParts(ms, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return asUtc - (ms - (((ms % 1000) + 1000) % 1000));
+}
+// Local wall-clock (YYYY-MM-DD + minutes since midnight) in timeZone -> UTC ms.
+// Times skipped by a spring-forward gap resolve to the instant just after the gap.
+function zonedTimeToUtc(dateStr, minutes, timeZone) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  const off1 = tzOffsetMs(wall - tzOffsetMs(wall, timeZone), timeZone);
+  const guess = wall - off1;
+  const off2 = tzOffsetMs(guess, timeZone);
+  return off2 === off1 ? guess : Math.max(guess, wall - off2);
+}
+function localDateOf(ms, timeZone) {
+  const p = tzParts(ms, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+// Working-hours intervals (UTC ms) on the local days spanning [fromMs, toMs]. `until` is the
+// end of the contiguous run an interval belongs to, so a slot may continue past midnight into
+// the next day's hours (e.g. 18:00-24:00 followed by 00:00-02:00).
+function scheduleIntervals(schedule, fromMs, toMs) {
+  const tz = schedule.timezone;
+  const lastDay = localDateOf(toMs, tz);
+  const out = [];
+  for (let day = localDateOf(fromMs, tz); day <= lastDay; day = addDays(day, 1)) {
+    const intervals = schedule.overrides[day] || schedule.weekly[weekdayOf(day)] || [];
+    for (const iv of intervals) {
+      const start = zonedTimeToUtc(day, hhmmToMinutes(iv.start), tz);
+      const end = zonedTimeToUtc(day, hhmmToMinutes(iv.end), tz);
+      if (start < end) out.push({ start, end, until: end });
+    }
+  }
+  for (let i = out.length - 2; i >= 0; i--) {
+    if (out[i].end === out[i + 1].start) out[i].until = out[i + 1].until;
+  }
+  return out;
+}
+
+// Effective schedule of one host for a meeting type: the type's own (shared by all its hosts),
+// else that host's default, else Mon–Fri 9–5
+async function loadScheduleForMeetingType(mt, fromMs, toMs, hostId = mt.user_id) {
+  const { rows } = mt.schedule_id
+    ? await pool.query("SELECT id, timezone, weekly FROM availability_schedules WHERE id=$1", [mt.schedule_id])
+    : await pool.query(
+        "SELECT id, timezone, weekly FROM availability_schedules WHERE user_id=$1 AND is_default LIMIT 1",
+        [hostId]
+      );
+  if (!rows.length) return { timezone: mt.timezone, weekly: DEFAULT_WEEKLY, overrides: {} };
+
+  const sched = rows[0];
+  const tz = sched.timezone || mt.timezone;
+  const ov = await pool.query(
+    `SELECT to_char(date, 'YYYY-MM-DD') AS date, intervals
+       FROM availability_overrides
+      WHERE schedule_id=$1 AND date BETWEEN $2 AND $3`,
+    [sched.id, localDateOf(fromMs, tz), localDateOf(toMs, tz)]
+  );
+  const overrides = {};
+  for (const o of ov.rows) overrides[o.date] = o.intervals;
+  return { timezone: tz, weekly: sched.weekly || {}, overrides };
+}
+
+async function getOwnedSchedule(userId, scheduleId) {
+  const { rows } = await pool.query(
+    "SELECT * FROM availability_schedules WHERE id=$1 AND user_id=$2",
+    [scheduleId, userId]
+  );
+  return rows[0] || null;
+}
+
+app.get("/schedules", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, name, timezone, weekly, is_default, created_at, updated_at
+         FROM availability_schedules
+        WHERE user_id=$1
+        ORDER BY is_default DESC, created_at ASC`,
+      [req.userId]
+    );
+    return res.json({ ok: true, items: rows });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Moving the default flag is unset-then-set; one user's schedule writes go one at a time so
+// two concurrent requests can't both end up hitting availability_schedules_one_default
+function withDefaultScheduleLock(userId, fn) {
+  return withTransaction(async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`schedules:${userId}`]);
+    return fn(client);
+  });
+}
+
+// POST /schedules { name, timezone, weekly, is_default? }
+app.post("/schedules", requireAuth, async (req, res) => {
+  try {
+    const { name, timezone, weekly, is_default } = req.body || {};
+    if (!name || !timezone) return res.status(400).json({ ok: false, error: "missing name or timezone" });
+    if (!isValidTimezone(timezone)) return res.status(400).json({ ok: false, error: "invalid timezone" });
+    const w = parseWeekly(weekly || {});
+    if (w.error) return res.status(400).json({ ok: false, error: w.error });
+
+    const id = await withDefaultScheduleLock(req.userId, async (client) => {
+      if (is_default) await client.query("UPDATE availability_schedules SET is_default=false WHERE user_id=$1", [req.userId]);
+      const { rows } = await client.query(
+        `INSERT INTO availability_schedules (user_id, name, timezone, weekly, is_default)
+         VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+        [req.userId, name, timezone, JSON.stringify(w.weekly), !!is_default]
+      );
+      return rows[0].id;
+    });
+    return res.json({ ok: true, id });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const sched = await getOwnedSchedule(req.userId, req.params.id);
+    if (!sched) return res.status(404).json({ ok: false, error: "schedule not found" });
+    const { rows } = await pool.query(
+      `SELECT to_char(date, 'YYYY-MM-DD') AS date, intervals
+         FROM availability_overrides
+        WHERE schedule_id=$1
+        ORDER BY date`,
+      [sched.id]
+    );
+    return res.json({ ok: true, schedule: { ...sched, overrides: rows } });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PUT /schedules/:id { name?, timezone?, weekly?, is_default? }
+app.put("/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const sched = await getOwnedSchedule(req.userId, req.params.id);
+    if (!sched) return res.status(404).json({ ok: false, error: "schedule not found" });
+
+    const { name, timezone, weekly, is_default } = req.body || {};
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ ok: false, error: "invalid timezone" });
+    }
+    let weeklyJson = null;
+    if (weekly !== undefined) {
+      const w = parseWeekly(weekly);
+      if (w.error) return res.status(400).json({ ok: false, error: w.error });
+      weeklyJson = JSON.stringify(w.weekly);
+    }
+
+    await withDefaultScheduleLock(req.userId, async (client) => {
+      if (is_default === true) {
+        await client.query("UPDATE availability_schedules SET is_default=false WHERE user_id=$1 AND id<>$2", [req.userId, sched.id]);
+      }
+      await client.query(
+        `UPDATE availability_schedules
+            SET name = COALESCE($1, name),
+                timezone = COALESCE($2, timezone),
+                weekly = COALESCE($3::jsonb, weekly),
+                is_default = COALESCE($4, is_default),
+                updated_at = now()
+          WHERE id=$5`,
+        [name || null, timezone || null, weeklyJson, typeof is_default === "boolean" ? is_default : null, sched.id]
+      );
+    });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.delete("/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "DELETE FROM availability_schedules WHERE id=$1 AND user_id=$2",
+      [req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "schedule not found" });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PUT /schedules/:id/overrides/:date { intervals }  ([] = day off, otherwise replaces weekly hours)
+app.put("/schedules/:id/overrides/:date", requireAuth, async (req, res) => {
+  try {
+    if (!isValidDate(req.params.date)) return res.status(400).json({ ok: false, error: "date must be a valid YYYY-MM-DD" });
+    const sched = await getOwnedSchedule(req.userId, req.params.id);
+    if (!sched) return res.status(404).json({ ok: false, error: "schedule not found" });
+    const r = parseIntervals((req.body || {}).intervals || [], "intervals");
+    if (r.error) return res.status(400).json({ ok: false, error: r.error });
+
+    await pool.query(
+      `INSERT INTO availability_overrides (schedule_id, date, intervals)
+       VALUES ($1,$2,$3)
+       ON CONFLICT (schedule_id, date) DO UPDATE SET intervals = EXCLUDED.intervals`,
+      [sched.id, req.params.date, JSON.stringify(r.intervals)]
+    );
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.delete("/schedules/:id/overrides/:date", requireAuth, async (req, res) => {
+  try {
+    if (!isValidDate(req.params.date)) return res.status(400).json({ ok: false, error: "date must be a valid YYYY-MM-DD" });
+    const sched = await getOwnedSchedule(req.userId, req.params.id);
+    if (!sched) return res.status(404).json({ ok: false, error: "schedule not found" });
+    await pool.query("DELETE FROM availability_overrides WHERE schedule_id=$1 AND date=$2", [sched.id, req.params.date]);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PUT /meeting-types/:id/schedule { schedule_id }  (null = fall back to the host default)
+app.put("/meeting-types/:id/schedule", requireAuth, async (req, res) => {
+  try {
+    const scheduleId = (req.body || {}).schedule_id || null;
+    if (scheduleId && !(await getOwnedSchedule(req.userId, scheduleId))) {
+      return res.status(400).json({ ok: false, error: "unknown schedule_id" });
+    }
+    const { rowCount } = await pool.query(
+      "UPDATE meeting_types SET schedule_id=$1 WHERE id=$2 AND user_id=$3",
+      [scheduleId, req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    await emitMeetingTypeEvent(req.params.id);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Public booking pages (user handles + meeting type slugs)
+   ========================= */
+// Handles and slugs share the URL rules: lowercase letters, digits and single hyphens
+const HANDLE_RE = /^[a-z0-9](?:[a-z0-9]|-(?=[a-z0-9])){1,29}$/;
+const SLUG_RE = /^[a-z0-9](?:[a-z0-9]|-(?=[a-z0-9])){0,59}$/;
+const RESERVED_HANDLES = new Set([
+  "admin", "api", "app", "auth", "book", "booking", "bookings", "calendar", "help", "login", "logout",
+  "manage", "oauth", "pages", "settings", "signup", "support", "www",
+]);
+const VISIBILITIES = ["public", "secret"];
+
+// "Jane Doe's Intro!" -> "jane-does-intro"
+function slugify(text, maxLen) {
+  return String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/['\u2019]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, maxLen).replace(/-+$/, "");
+}
+function handleError(handle) {
+  if (!HANDLE_RE.test(handle)) return "handle must be 2-30 lowercase letters, digits or single hyphens";
+  if (RESERVED_HANDLES.has(handle)) return "handle is reserved";
+  return null;
+}
+
+// Tries base, base-2, base-3 ... until the unique index takes one. `update(candidate)` returns
+// the rowCount of an UPDATE that sets it (0 = the row already has a value; nothing to do).
+async function claimUnique(base, update) {
+  for (let n = 1; n < 1000; n++) {
+    const suffix = n === 1 ? "" : `-${n}`;
+    const candidate = `${base.slice(0, 30 - suffix.length).replace(/-+$/, "")}${suffix}`;
+    try {
+      await update(candidate);
+      return candidate;
+    } catch (e) {
+      if (e.code !== "23505") throw e;
+    }
+  }
+  throw new Error("no free name");
+}
+// Default handle from the email's local part, for accounts that don't have one yet
+async function assignHandle(userId, email) {
+  let base = slugify(String(email).split("@")[0], 30);
+  if (base.length < 2 || RESERVED_HANDLES.has(base)) base = `${base || "user"}-1`;
+  return claimUnique(base, (h) => pool.query("UPDATE users SET handle=$1 WHERE id=$2 AND handle IS NULL", [h, userId]));
+}
+async function assignSlug(meetingTypeId, userId, title) {
+  const base = slugify(title, 30) || "meeting";
+  return claimUnique(base, (s) =>
+    pool.query("UPDATE meeting_types SET slug=$1 WHERE id=$2 AND user_id=$3 AND slug IS NULL", [s, meetingTypeId, userId]));
+}
+// Startup backfill for rows from before handles/slugs existed
+async function backfillHandles() {
+  const users = await pool.query("SELECT id, email FROM users WHERE handle IS NULL");
+  for (const u of users.rows) await assignHandle(u.id, u.email);
+  const types = await pool.query("SELECT id, user_id, title FROM meeting_types WHERE slug IS NULL");
+  for (const m of types.rows) await assignSlug(m.id, m.user_id, m.title);
+}
+
+function publicHost(u) {
+  return { handle: u.handle, name: u.name, timezone: u.timezone };
+}
+async function loadUserByHandle(handle) {
+  const { rows } = await pool.query(
+    "SELECT id, handle, name, timezone FROM users WHERE handle=$1",
+    [String(handle).toLowerCase()]
+  );
+  return rows[0] || null;
+}
+
+// GET /profile -> { ok, handle, name, timezone, locale }
+app.get("/profile", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT handle, name, email, timezone, locale FROM users WHERE id=$1", [req.userId]);
+    return res.json({ ok: true, ...rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PATCH /profile { handle?, name? }  (a new handle breaks links to the old one)
+app.patch("/profile", requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = {};
+    if ("handle" in body) {
+      const handle = String(body.handle || "").toLowerCase();
+      const error = handleError(handle);
+      if (error) return res.status(400).json({ ok: false, error });
+      updates.handle = handle;
+    }
+    if ("name" in body) {
+      if (body.name != null && typeof body.name !== "string") return res.status(400).json({ ok: false, error: "name must be a string" });
+      updates.name = body.name ? body.name.trim().slice(0, 100) : null;
+    }
+    const keys = Object.keys(updates);
+    if (!keys.length) return res.status(400).json({ ok: false, error: "nothing to update" });
+    try {
+      const { rows } = await pool.query(
+        `UPDATE users SET ${keys.map((k, i) => `${k}=$${i + 2}`).join(", ")}
+          WHERE id=$1 RETURNING handle, name, email, timezone, locale`,
+        [req.userId, ...keys.map((k) => updates[k])]
+      );
+      return res.json({ ok: true, ...rows[0] });
+    } catch (e) {
+      if (e.code === "23505") return res.status(409).json({ ok: false, error: "handle is taken" });
+      throw e;
+    }
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// GET /pages/:handle -> { ok, host, meetingTypes }  (public, active types only; secret ones
+// are left out of the list but still open by their own URL)
+app.get("/pages/:handle", rateLimit("pages:ip"), async (req, res) => {
+  try {
+    const host = await loadUserByHandle(req.params.handle);
+    if (!host) return res.status(404).json({ ok: false, error: "page not found" });
+    const { rows } = await pool.query(
+      `SELECT id, slug, title, duration_minutes, scheduling_type, price_cents, currency
+         FROM meeting_types
+        WHERE user_id=$1 AND visibility='public' AND archived_at IS NULL
+        ORDER BY title, id`,
+      [host.id]
+    );
+    const meetingTypes = rows.map(({ price_cents, currency, ...mt }) => ({
+      ...mt,
+      price: price_cents ? { amount_cents: price_cents, currency } : null,
+    }));
+    return res.json({ ok: true, host: publicHost(host), meetingTypes });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// GET /pages/:handle/:slug -> { ok, host, meetingType }: what the booking page needs; its
+// id is what /availability, /holds and /book take
+app.get("/pages/:handle/:slug", rateLimit("pages:ip"), async (req, res) => {
+  try {
+    const host = await loadUserByHandle(req.params.handle);
+    if (!host) return res.status(404).json({ ok: false, error: "page not found" });
+    const { rows } = await pool.query(
+      `SELECT ${MT_FIELDS} FROM meeting_types WHERE user_id=$1 AND slug=$2 AND archived_at IS NULL`,
+      [host.id, String(req.params.slug).toLowerCase()]
+    );
+    if (!rows.length) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    const mt = rows[0];
+    const now = Date.now();
+    const schedule = await loadScheduleForMeetingType(mt, now, now);
+    return res.json({
+      ok: true,
+      host: publicHost(host),
+      meetingType: {
+        id: mt.id,
+        slug: mt.slug,
+        title: mt.title,
+        duration_minutes: mt.duration_minutes,
+        timezone: schedule.timezone,
+        questions: mt.questions,
+        location: publicLocation(mt.location),
+        price: mt.price_cents ? { amount_cents: mt.price_cents, currency: mt.currency } : null,
+        scheduling_type: mt.scheduling_type,
+        min_notice_minutes: mt.min_notice_minutes,
+        max_days_ahead: mt.max_days_ahead,
+        visibility: mt.visibility,
+      },
+    });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Availability (public, by meetingTypeId -> host)
+   ========================= */
+function overlaps(aStart, aEnd, bStart, bEnd) { return aStart < bEnd && bStart < aEnd; }
+
+// Cut [cutStart, cutEnd) out of a busy block -> 0..2 remaining pieces
+function subtractInterval(b, cutStart, cutEnd) {
+  if (!overlaps(b.start, b.end, cutStart, cutEnd)) return [b];
+  const out = [];
+  if (b.start < cutStart) out.push({ start: b.start, end: cutStart });
+  if (b.end > cutEnd) out.push({ start: cutEnd, end: b.end });
+  return out;
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+
+// Hosts of a meeting type, most preferred first. Single-host types (and multi-host ones
+// with no hosts configured yet) are hosted by the owner. Hosts who haven't accepted the owner's
+// invite (or withdrew) are skipped.
+async function getMeetingTypeHosts(mt) {
+  if (mt.scheduling_type === "single") return [{ user_id: mt.user_id, priority: 0 }];
+  const { rows } = await pool.query(
+    `SELECT h.user_id, h.priority FROM meeting_type_hosts h
+      WHERE h.meeting_type_id=$1
+        AND (h.user_id = $2 OR EXISTS (SELECT 1 FROM host_invites i
+                                        WHERE i.owner_id=$2 AND i.host_id=h.user_id AND i.accepted_at IS NOT NULL))
+      ORDER BY h.priority DESC, h.user_id`,
+    [mt.id, mt.user_id]
+  );
+  return rows.length ? rows : [{ user_id: mt.user_id, priority: 0 }];
+}
+
+// Everything the slot rules need for one host of mt around [fromMs, toMs] (all times in UTC ms).
+// `moving` is a booking being rescheduled: its own time is not a conflict and it doesn't count
+// towards the daily cap (which is per host, per meeting type).
+async function loadSlotContext(mt, hostId, fromMs, toMs, moving = null, holdId = null) {
+  const before = mt.buffer_before_minutes * MINUTE_MS;
+  const after = mt.buffer_after_minutes * MINUTE_MS;
+  const schedule = await loadScheduleForMeetingType(mt, fromMs, toMs, hostId);
+
+  const provider = await getCalendarProvider(hostId);
+  const { conflictIds, writeId } = await getCalendarSettings(hostId);
+  let busy = await provider.freeBusy(conflictIds, fromMs - before, toMs + after);
+  if (moving) {
+    const ms = new Date(moving.start_time).getTime();
+    const me = new Date(moving.end_time).getTime();
+    busy = busy.flatMap((b) => subtractInterval(b, ms, me));
+  }
+
+  // Wide enough to cover other bookings' buffers and whole local days for the daily cap.
+  // Other visitors' live holds count as bookings; the caller's own hold (holdId) doesn't.
+  const { rows } = await pool.query(
+    `SELECT b.meeting_type_id, b.start_time, b.end_time, m.buffer_before_minutes, m.buffer_after_minutes
+       FROM bookings b
+       JOIN meeting_types m ON m.id = b.meeting_type_id
+      WHERE $1 = ANY(COALESCE(b.host_user_ids, ARRAY[m.user_id]))
+        AND b.status = 'confirmed'
+        AND b.end_time > $2 AND b.start_time < $3
+        AND b.id IS DISTINCT FROM $4
+     UNION ALL
+     SELECT h.meeting_type_id, h.start_time, h.end_time, m.buffer_before_minutes, m.buffer_after_minutes
+       FROM slot_holds h
+       JOIN meeting_types m ON m.id = h.meeting_type_id
+      WHERE $1 = ANY(h.host_user_ids)
+        AND h.expires_at > now()
+        AND h.end_time > $2 AND h.start_time < $3
+        AND h.id IS DISTINCT FROM $5`,
+    [hostId, new Date(fromMs - 2 * DAY_MS).toISOString(), new Date(toMs + 2 * DAY_MS).toISOString(),
+     moving ? moving.id : null, holdId]
+  );
+  const bookings = rows.map((r) => ({
+    start: new Date(r.start_time).getTime(),
+    end: new Date(r.end_time).getTime(),
+    before: r.buffer_before_minutes * MINUTE_MS,
+    after: r.buffer_after_minutes * MINUTE_MS,
+  }));
+  const perDay = {};
+  for (const r of rows) {
+    if (r.meeting_type_id !== mt.id) continue;
+    const day = localDateOf(new Date(r.start_time).getTime(), schedule.timezone);
+    perDay[day] = (perDay[day] || 0) + 1;
+  }
+
+  const intervals = scheduleIntervals(schedule, fromMs, toMs);
+  const starts = new Set(slotStarts(mt, intervals, fromMs, toMs));
+  return { hostId, schedule, provider, writeCalendarId: writeId, busy, bookings, perDay, intervals, starts };
+}
+
+// One context per host. A round-robin host whose calendar can't be read is left out rather
+// than taking the whole booking page down; collective types need everyone.
+async function loadHostContexts(mt, hostIds, fromMs, toMs, moving = null, holdId = null) {
+  const results = await Promise.allSettled(hostIds.map((id) => loadSlotContext(mt, id, fromMs, toMs, moving, holdId)));
+  const ctxs = [];
+  results.forEach((r, i) => {
+    if (r.status === "fulfilled") ctxs.push(r.value);
+    else if (mt.scheduling_type !== "round_robin") throw r.reason;
+    else console.warn(`round-robin host ${hostIds[i]} skipped:`, r.reason.message);
+  });
+  if (!ctxs.length) throw new Error("no host calendars available");
+  return ctxs;
+}
+
+// Candidate start times: every slot_interval (default: duration) from the start of each
+// working-hours interval, keeping slots that fit the hours and lie inside [fromMs, toMs]
+function slotStarts(mt, intervals, fromMs, toMs) {
+  const dur = mt.duration_minutes * MINUTE_MS;
+  const step = (mt.slot_interval_minutes || mt.duration_minutes) * MINUTE_MS;
+  const starts = [];
+  for (const iv of intervals) {
+    for (let t = iv.start; t < iv.end; t += step) {
+      if (t + dur <= iv.until && t >= fromMs && t + dur <= toMs) starts.push(t);
+    }
+  }
+  return starts;
+}
+
+// Why a candidate start can't be booked, or null. Buffers: our buffers must not touch other
+// bookings or calendar events, and other bookings' buffers must not touch our meeting.
+function slotRejection(mt, ctx, t, nowMs) {
+  const dur = mt.duration_minutes * MINUTE_MS;
+  const s = t - mt.buffer_before_minutes * MINUTE_MS;
+  const e = t + dur + mt.buffer_after_minutes * MINUTE_MS;
+  if (t < nowMs + mt.min_notice_minutes * MINUTE_MS) return "too soon";
+  if (mt.max_days_ahead && t > nowMs + mt.max_days_ahead * DAY_MS) return "too far in advance";
+  if (ctx.busy.some((b) => overlaps(s, e, b.start, b.end))) return "calendar busy";
+  if (ctx.bookings.some((b) => overlaps(s, e, b.start, b.end) || overlaps(t, t + dur, b.start - b.before, b.end + b.after))) {
+    return "existing booking";
+  }
+  if (mt.max_per_day && (ctx.perDay[localDateOf(t, ctx.schedule.timezone)] || 0) >= mt.max_per_day) {
+    return "daily limit reached";
+  }
+  return null;
+}
+
+// Same, including whether t is on this host's slot grid at all
+function hostSlotRejection(mt, ctx, t, nowMs) {
+  if (!ctx.starts.has(t)) {
+    const dur = mt.duration_minutes * MINUTE_MS;
+    const inHours = ctx.intervals.some((iv) => iv.start <= t && t + dur <= iv.until);
+    return inHours ? "not a valid start time" : "outside working hours";
+  }
+  return slotRejection(mt, ctx, t, nowMs);
+}
+
+app.get("/availability", rateLimit("availability:ip"), async (req, res) => {
+  try {
+    const meetingTypeId = req.query.meetingTypeId;
+    const fromIso = req.query.from;
+    const toIso = req.query.to;
+    if (!meetingTypeId || !fromIso || !toIso) {
+      return res.status(400).json({ error: "missing meetingTypeId, from, or to" });
+    }
+
+    const mt = await loadMeetingType(meetingTypeId);
+    if (!mt || mt.archived_at) return res.status(404).json({ error: "meeting type not found" });
+    // Each call costs a freebusy query per host; cap what one host's page can cost
+    const limited = await checkRate("availability:host", mt.user_id);
+    if (limited) return sendRateLimited(res, limited);
+
+    const startMs = new Date(fromIso).getTime();
+    const endMs = new Date(toIso).getTime();
+    if (Number.isNaN(startMs) || Number.isNaN(endMs) || startMs >= endMs) {
+      return res.status(400).json({ error: "invalid from/to range" });
+    }
+    const timeMin = new Date(startMs).toISOString();
+    const timeMax = new Date(endMs).toISOString();
+
+    // A guest holding a slot still sees it as available
+    const hold = req.query.holdToken ? await loadHold(req.query.holdToken) : null;
+    const hosts = await getMeetingTypeHosts(mt);
+    const ctxs = await loadHostContexts(mt, hosts.map((h) => h.user_id), startMs, endMs, null, hold?.id);
+    const durMs = mt.duration_minutes * MINUTE_MS;
+    const now = Date.now();
+
+    // Collective: every host free; round robin: at least one
+    const free = ctxs.map((ctx) => new Set([...ctx.starts].filter((t) => !slotRejection(mt, ctx, t, now))));
+    const candidates = [...new Set(free.flatMap((set) => [...set]))].sort((a, b) => a - b);
+    const slots = candidates
+      .filter((t) => (mt.scheduling_type === "round_robin" ? free.some((f) => f.has(t)) : free.every((f) => f.has(t))))
+      .map((t) => ({ start: new Date(t).toISOString(), end: new Date(t + durMs).toISOString() }));
+
+    res.json({
+      meetingTypeId, timeMin, timeMax, timezone: ctxs[0].schedule.timezone,
+      schedulingType: mt.scheduling_type,
+      durationMinutes: mt.duration_minutes,
+      slotIntervalMinutes: mt.slot_interval_minutes || mt.duration_minutes,
+      slots,
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/* =========================
+   Booking (public)
+   ========================= */
+// Re-checks one concrete start time with the same rules /availability uses, for the given
+// hosts (default: all hosts of mt). `moving` is the booking being rescheduled, `holdId` the
+// guest's own hold. -> { hosts: [ctx of each free host] } | { error }
+async function checkSlotBookable(mt, start, { moving = null, hostIds = null, holdId = null } = {}) {
+  const t = start.getTime();
+  const dur = mt.duration_minutes * MINUTE_MS;
+  const ids = hostIds || (await getMeetingTypeHosts(mt)).map((h) => h.user_id);
+  const ctxs = await loadHostContexts(mt, ids, t, t + dur, moving, holdId);
+  const now = Date.now();
+
+  const free = [];
+  let reason = null;
+  for (const ctx of ctxs) {
+    const r = hostSlotRejection(mt, ctx, t, now);
+    if (r) reason = reason || r;
+    else free.push(ctx);
+  }
+  const ok = mt.scheduling_type === "round_robin" ? free.length > 0 : free.length === ctxs.length;
+  if (!ok) return { error: `slot not available (${reason})` };
+  return { hosts: free };
+}
+
+// Round robin: pick one of the free hosts. 'priority' prefers the highest priority and breaks
+// ties by least recently booked; 'least_recent' is the other way around.
+async function assignRoundRobinHost(mt, freeHostIds) {
+  const hosts = await getMeetingTypeHosts(mt);
+  const priority = Object.fromEntries(hosts.map((h) => [h.user_id, h.priority]));
+  const { rows } = await pool.query(
+    `SELECT h AS user_id, max(b.created_at) AS last_booked
+       FROM bookings b, unnest(b.host_user_ids) AS h
+      WHERE b.meeting_type_id=$1 AND b.status='confirmed' AND h = ANY($2::uuid[])
+      GROUP BY h`,
+    [mt.id, freeHostIds]
+  );
+  const last = Object.fromEntries(rows.map((r) => [r.user_id, new Date(r.last_booked).getTime()]));
+  const byPriority = (a, b) => (priority[b] || 0) - (priority[a] || 0);
+  const byRecency = (a, b) => (last[a] || 0) - (last[b] || 0);
+  return [...freeHostIds].sort((a, b) =>
+    mt.assignment_rule === "priority" ? byPriority(a, b) || byRecency(a, b) : byRecency(a, b) || byPriority(a, b)
+  )[0];
+}
+
+// Who attends, and whose calendar holds the event: the owner when they're among the hosts
+async function pickBookingHosts(mt, check) {
+  const freeIds = check.hosts.map((h) => h.hostId);
+  const hostIds = mt.scheduling_type === "round_robin" ? [await assignRoundRobinHost(mt, freeIds)] : freeIds;
+  return { hostIds, organizerId: hostIds.includes(mt.user_id) ? mt.user_id : hostIds[0] };
+}
+
+// The freebusy/bookings checks above run without locks, so two guests can pass them for the
+// same slot at once. Writes that take a slot go through here: one transaction holding an
+// advisory lock per host (sorted, so concurrent requests can't deadlock) re-checks the slot
+// against confirmed bookings and live holds before fn runs. -> fn's result | null if taken
+async function withSlotLock(mt, hostIds, start, end, { movingId = null, holdId = null }, fn) {
+  const before = `${mt.buffer_before_minutes} minutes`;
+  const after = `${mt.buffer_after_minutes} minutes`;
+  // The daily cap is per host and counted in the local day of the schedule each host books against
+  const zones = mt.max_per_day
+    ? await Promise.all(hostIds.map(async (id) =>
+        (await loadScheduleForMeetingType(mt, start.getTime(), start.getTime(), id)).timezone))
+    : [];
+  return withTransaction(async (client) => {
+    for (const id of [...hostIds].sort()) {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`host:${id}`]);
+    }
+    // Same rule as slotRejection: our buffered window vs their meeting, our meeting vs their buffered window
+    const { rows } = await client.query(
+      `SELECT 1
+         FROM (SELECT b.id, b.start_time, b.end_time, b.meeting_type_id,
+                      COALESCE(b.host_user_ids, ARRAY[m.user_id]) AS hosts
+                 FROM bookings b JOIN meeting_types m ON m.id = b.meeting_type_id
+                WHERE b.status = 'confirmed' AND b.id IS DISTINCT FROM $4
+               UNION ALL
+               SELECT h.id, h.start_time, h.end_time, h.meeting_type_id, h.host_user_ids
+                 FROM slot_holds h
+                WHERE h.expires_at > now() AND h.id IS DISTINCT FROM $5) x
+         JOIN meeting_types m ON m.id = x.meeting_type_id
+        WHERE x.hosts && $1::uuid[]
+          AND ((x.start_time < $3::timestamptz + $7::interval AND x.end_time > $2::timestamptz - $6::interval)
+            OR (x.start_time - make_interval(mins => m.buffer_before_minutes) < $3
+                AND x.end_time + make_interval(mins => m.buffer_after_minutes) > $2))
+        LIMIT 1`,
+      [hostIds, start.toISOString(), end.toISOString(), movingId, holdId, before, after]
+    );
+    if (rows.length) return null;
+    if (mt.max_per_day) {
+      // Same count as loadSlotContext's perDay: confirmed bookings plus live holds, which also
+      // stand in for bookings still waiting on payment
+      const { rows: full } = await client.query(
+        `SELECT 1
+           FROM unnest($1::uuid[], $2::text[]) AS h(id, tz)
+          WHERE (SELECT count(*)
+                   FROM (SELECT b.start_time, COALESCE(b.host_user_ids, ARRAY[m.user_id]) AS hosts
+                           FROM bookings b JOIN meeting_types m ON m.id = b.meeting_type_id
+                          WHERE b.meeting_type_id = $3 AND b.status = 'confirmed' AND b.id IS DISTINCT FROM $5
+                         UNION ALL
+                         SELECT s.start_time, s.host_user_ids
+                           FROM slot_holds s
+                          WHERE s.meeting_type_id = $3 AND s.expires_at > now() AND s.id IS DISTINCT FROM $6) x
+                  WHERE h.id = ANY(x.hosts)
+                    AND (x.start_time AT TIME ZONE h.tz)::date = ($4::timestamptz AT TIME ZONE h.tz)::date
+                ) >= $7
+          LIMIT 1`,
+        [hostIds, zones, mt.id, start.toISOString(), movingId, holdId, mt.max_per_day]
+      );
+      if (full.length) return null;
+    }
+    return fn(client);
+  });
+}
+
+// Signed guest link for cancel/reschedule; stays valid until a week after the meeting
+function manageLinks(bookingId, endTime) {
+  const maxAge = Math.max(24 * 3600, Math.floor((new Date(endTime).getTime() - Date.now()) / 1000) + 7 * 24 * 3600);
+  const token = encodeURIComponent(signToken({ bid: bookingId, kind: "manage" }, maxAge));
+  return {
+    cancelUrl: `${BOOKING_BASE}/manage?token=${token}&action=cancel`,
+    rescheduleUrl: `${BOOKING_BASE}/manage?token=${token}&action=reschedule`,
+  };
+}
+
+// Calendar event on the organizer's calendar (Google sends the invites itself) -> { eventId, joinUrl }
+async function createBookingEvent(bk, mt) {
+  const provider = await getCalendarProvider(bk.organizer_id, bk.calendar_provider);
+  const answersText = formatAnswers(mt.questions, bk.answers || {});
+  const event = await provider.createEvent(bk.event_calendar_id, {
+    summary: `${mt.title} with ${bk.recipient_name}`,
+    description: answersText ? `Booked via setthetime.com\n\n${answersText}` : `Booked via setthetime.com`,
+    location: locationText(bk.location),
+    conference: bk.location?.type === "google_meet",
+    start: new Date(bk.start_time).toISOString(),
+    end: new Date(bk.end_time).toISOString(),
+    attendees: [...bk.host_emails, bk.recipient_email],
+  });
+  const joinUrl = bk.location?.type === "custom_url" ? bk.location.url : event.joinUrl || null;
+  await pool.query("UPDATE bookings SET google_event_id=$2, join_url=$3 WHERE id=$1", [bk.id, event.id, joinUrl]);
+  return { eventId: event.id, joinUrl };
+}
+
+// Our own confirmations (Google already sent the invite; the .ics covers other calendar apps),
+// reminders and the booking.created webhook, once a booking is confirmed
+async function announceBooking(bookingId, mt) {
+  const bk = await loadBooking(bookingId);
+  const links = manageLinks(bookingId, bk.end_time);
+  const answersText = formatAnswers(mt.questions, bk.answers || {});
+  await sendBookingEmail(bk, guestAudience(bk), "booking_confirmed_guest",
+    () => ({ reschedule_url: links.rescheduleUrl, cancel_url: links.cancelUrl }),
+    { payload: { kind: "booking_confirmed" }, attachments: [icsAttachment("REQUEST", bk)] });
+  for (const host of hostAudiences(bk)) {
+    await sendBookingEmail(bk, host, "booking_new_host", () => ({ answers: answersText }),
+      { payload: { kind: "booking_confirmed" } });
+  }
+  await scheduleBookingEmails(bookingId);
+  await emitBookingEvent("booking.created", bookingId);
+}
+
+app.post("/book", rateLimit("book:ip"), async (req, res) => {
+  try {
+    const { meetingTypeId, recipient_name, recipient_email, start_time, answers: rawAnswers, holdToken, timezone, locale, phone } = req.body;
+    if (!meetingTypeId || !recipient_name || !recipient_email || !start_time) {
+      return res.status(400).json({ ok: false, error: "missing meetingTypeId, recipient_name, recipient_email, or start_time" });
+    }
+    if (!isValidEmail(recipient_email)) return res.status(400).json({ ok: false, error: "invalid recipient_email" });
+    const start = new Date(start_time);
+    if (Number.isNaN(start.getTime())) return res.status(400).json({ ok: false, error: "invalid start_time" });
+    // The guest's own timezone/language for their emails (the booking page knows both)
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ ok: false, error: "invalid timezone" });
+    const guestLocale = normalizeLocale(locale || localeFromRequest(req));
+
+    const mt = await loadMeetingType(meetingTypeId);
+    if (!mt || mt.archived_at) return res.status(404).json({ ok: false, error: "meeting type not found" });
+
+    if (isDisposableEmail(recipient_email)) {
+      return res.status(400).json({ ok: false, error: "disposable email addresses are not allowed" });
+    }
+    const limited = (await checkRate("book:email", recipient_email)) || (await checkRate("book:host", mt.user_id));
+    if (limited) return sendRateLimited(res, limited);
+    const paid = mt.price_cents > 0;
+    if (paid && !paymentProvider) return res.status(503).json({ ok: false, error: "payments are not available" });
+    const upcoming = await pool.query(
+      `SELECT count(*)::int AS n FROM bookings
+        WHERE meeting_type_id=$1 AND lower(recipient_email)=lower($2) AND status IN ('confirmed','pending_payment')
+          AND start_time > now()`,
+      [mt.id, recipient_email]
+    );
+    if (upcoming.rows[0].n >= MAX_UPCOMING_PER_GUEST) {
+      return res.status(409).json({ ok: false, error: "you already have upcoming bookings for this meeting type" });
+    }
+
+    const { answers, error: answersError } = validateAnswers(mt.questions, rawAnswers);
+    if (answersError) return res.status(400).json({ ok: false, error: answersError });
+    const { location, error: locationError } = bookingLocation(mt.location, phone);
+    if (locationError) return res.status(400).json({ ok: false, error: locationError });
+
+    const end = new Date(start.getTime() + Number(mt.duration_minutes) * 60 * 1000);
+    const startIso = start.toISOString();
+    const endIso = end.toISOString();
+
+    // A live hold pins the hosts; an expired or unknown one just means booking without it
+    const hold = holdToken ? await loadHold(holdToken) : null;
+    if (hold && (hold.meeting_type_id !== mt.id || new Date(hold.start_time).getTime() !== start.getTime())) {
+      return res.status(400).json({ ok: false, error: "hold is for a different slot" });
+    }
+    const check = hold
+      ? await checkSlotBookable({ ...mt, scheduling_type: "collective" }, start, { hostIds: hold.host_user_ids, holdId: hold.id })
+      : await checkSlotBookable(mt, start);
+    if (check.error) return res.status(409).json({ ok: false, error: check.error });
+
+    const { hostIds, organizerId } = hold
+      ? { hostIds: hold.host_user_ids, organizerId: hold.host_user_ids.includes(mt.user_id) ? mt.user_id : hold.host_user_ids[0] }
+      : await pickBookingHosts(mt, check);
+    const { provider, writeCalendarId } = check.hosts.find((h) => h.hostId === organizerId);
+
+    const hostQ = await pool.query("SELECT id FROM users WHERE id = ANY($1::uuid[])", [hostIds]);
+    if (hostQ.rows.length !== hostIds.length) return res.status(500).json({ ok: false, error: "host user missing" });
+
+    // Claim the slot first; the row is what concurrent requests see. Unpaid bookings keep a hold
+    // on it until the payment window closes.
+    const paymentExpiresAt = paid ? new Date(Date.now() + PAYMENT_HOLD_MINUTES * MINUTE_MS).toISOString() : null;
+    const bookingId = await withSlotLock(mt, hostIds, start, end, { holdId: hold?.id }, async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO bookings (meeting_type_id, recipient_name, recipient_email, start_time, end_time, status,
+                               calendar_id, host_user_ids, organizer_user_id, answers, guest_timezone, guest_locale,
+                               calendar_provider, location, amount_cents, currency, payment_expires_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17) RETURNING id`,
+        [meetingTypeId, recipient_name, recipient_email, startIso, endIso, paid ? "pending_payment" : "confirmed",
+         writeCalendarId, hostIds, organizerId, JSON.stringify(answers), timezone || null, guestLocale, provider.name,
+         location && JSON.stringify(location), paid ? mt.price_cents : null, paid ? mt.currency : null, paymentExpiresAt]
+      );
+      if (hold) await client.query("DELETE FROM slot_holds WHERE id=$1", [hold.id]);
+      if (paid) {
+        await client.query(
+          `INSERT INTO slot_holds (meeting_type_id, host_user_ids, start_time, end_time, expires_at, booking_id)
+           VALUES ($1,$2,$3,$4,$5,$6)`,
+          [mt.id, hostIds, startIso, endIso, paymentExpiresAt, rows[0].id]
+        );
+      }
+      return rows[0].id;
+    });
+    if (!bookingId) return res.status(409).json({ ok: false, error: "slot not available (just booked)" });
+    const bk = await loadBooking(bookingId);
+
+    if (paid) {
+      let checkout;
+      try {
+        checkout = await startCheckout(bk);
+      } catch (e) {
+        await pool.query("DELETE FROM bookings WHERE id=$1", [bookingId]);
+        throw e;
+      }
+      return res.json({
+        ok: true, bookingId, status: "pending_payment", checkoutUrl: checkout.url, expiresAt: checkout.expiresAt,
+        start: startIso, end: endIso, location,
+      });
+    }
+
+    let event;
+    try {
+      event = await createBookingEvent(bk, mt);
+    } catch (e) {
+      // Give the slot back
+      await pool.query("DELETE FROM bookings WHERE id=$1", [bookingId]);
+      throw e;
+    }
+    await announceBooking(bookingId, mt);
+
+    return res.json({ ok: true, bookingId, eventId: event.eventId, start: startIso, end: endIso, location, joinUrl: event.joinUrl });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* =========================
+   Slot holds (public) — reserve a slot while the guest fills in the form
+   ========================= */
+const HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES || 5);
+
+// Live hold for a hold token, or null (bad signature, expired, released or booked)
+async function loadHold(token) {
+  const p = verifyToken(token, "hold");
+  if (!p?.hid) return null;
+  const { rows } = await pool.query("SELECT * FROM slot_holds WHERE id=$1 AND expires_at > now()", [p.hid]);
+  return rows[0] || null;
+}
+
+// POST /holds { meetingTypeId, start_time, holdToken? }  -> { ok, holdToken, expiresAt, start, end }
+// Passing a previous holdToken swaps it for the new slot.
+app.post("/holds", rateLimit("holds:ip"), async (req, res) => {
+  try {
+    const { meetingTypeId, start_time, holdToken } = req.body || {};
+    if (!meetingTypeId || !start_time) return res.status(400).json({ ok: false, error: "missing meetingTypeId or start_time" });
+    const start = new Date(start_time);
+    if (Number.isNaN(start.getTime())) return res.status(400).json({ ok: false, error: "invalid start_time" });
+
+    const mt = await loadMeetingType(meetingTypeId);
+    if (!mt || mt.archived_at) return res.status(404).json({ ok: false, error: "meeting type not found" });
+    const end = new Date(start.getTime() + mt.duration_minutes * MINUTE_MS);
+
+    const previous = holdToken ? await loadHold(holdToken) : null;
+    const check = await checkSlotBookable(mt, start, { holdId: previous?.id });
+    if (check.error) return res.status(409).json({ ok: false, error: check.error });
+    const { hostIds } = await pickBookingHosts(mt, check);
+
+    const hold = await withSlotLock(mt, hostIds, start, end, { holdId: previous?.id }, async (client) => {
+      await client.query("DELETE FROM slot_holds WHERE expires_at < now() OR id = $1", [previous?.id || null]);
+      const { rows } = await client.query(
+        `INSERT INTO slot_holds (meeting_type_id, host_user_ids, start_time, end_time, expires_at)
+         VALUES ($1,$2,$3,$4, now() + make_interval(mins => $5)) RETURNING id, expires_at`,
+        [mt.id, hostIds, start.toISOString(), end.toISOString(), HOLD_MINUTES]
+      );
+      return rows[0];
+    });
+    if (!hold) return res.status(409).json({ ok: false, error: "slot not available (just taken)" });
+
+    return res.json({
+      ok: true,
+      holdToken: signToken({ hid: hold.id, kind: "hold" }, HOLD_MINUTES * 60),
+      expiresAt: new Date(hold.expires_at).toISOString(),
+      start: start.toISOString(), end: end.toISOString(),
+    });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /holds/release { holdToken }
+app.post("/holds/release", async (req, res) => {
+  try {
+    const p = verifyToken((req.body || {}).holdToken, "hold");
+    if (!p?.hid) return res.status(400).json({ ok: false, error: "invalid hold token" });
+    await pool.query("DELETE FROM slot_holds WHERE id=$1", [p.hid]);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Payments (paid meeting types) — checkout provider, signed webhooks, expiry
+   ========================= */
+// A booking for a priced meeting type starts as 'pending_payment' with a slot hold that lasts
+// PAYMENT_HOLD_MINUTES. The provider's webhook confirms it (calendar event + emails); otherwise
+// it turns 'expired' and the slot is free again.
+//
+// Providers: { name, createCheckout(opts) -> { sessionId, url }, parseWebhook(rawBody, headers)
+// -> { type: 'paid' | 'expired', sessionId } | null (not for us; throws on a bad signature),
+// refund(sessionId) }. PAYMENT_PROVIDER=fake is a local stand-in; Stripe etc. go next to it.
+const PAYMENT_HOLD_MINUTES = Number(process.env.PAYMENT_HOLD_MINUTES || 30);
+const PAYMENT_SWEEP_MS = 60 * 1000;
+const CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+
+// t=<unix seconds>,v1=<sig> header (signWebhook's format) -> true if it matches and is fresh
+function verifySignature(secret, header, body, toleranceSec = 300) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((p) => p.split("=")));
+  const ts = Number(parts.t);
+  if (!ts || Math.abs(Date.now() / 1000 - ts) > toleranceSec) return false;
+  const expected = Buffer.from(signWebhook(secret, ts, body));
+  const given = Buffer.from(String(header));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function makePaymentProvider(kind) {
+  if (kind === "fake") {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET || "fake-payments";
+    const sessions = new Map();
+    const refunds = [];
+    return {
+      name: "fake", sessions, refunds,
+      async createCheckout(opts) {
+        const sessionId = `fcs_${crypto.randomUUID()}`;
+        sessions.set(sessionId, { ...opts, sessionId, status: "open" });
+        return { sessionId, url: `${API_BASE}/payments/fake/checkout/${sessionId}` };
+      },
+      // What the fake "sends" to /payments/webhook/fake for a session
+      signedEvent(type, sessionId) {
+        const body = JSON.stringify({ type, sessionId });
+        return { body, headers: { "x-fake-signature": signWebhook(secret, Math.floor(Date.now() / 1000), body) } };
+      },
+      parseWebhook(body, headers) {
+        if (!verifySignature(secret, headers["x-fake-signature"], body)) throw new Error("invalid signature");
+        const evt = JSON.parse(body);
+        if (evt.type === "checkout.completed") return { type: "paid", sessionId: evt.sessionId };
+        if (evt.type === "checkout.expired") return { type: "expired", sessionId: evt.sessionId };
+        return null;
+      },
+      async refund(sessionId) { refunds.push(sessionId); },
+    };
+  }
+  return null; // not configured: priced meeting types can't be booked
+}
+let paymentProvider = makePaymentProvider(process.env.PAYMENT_PROVIDER);
+function setPaymentProvider(p) { paymentProvider = p; }
+
+// price_cents (smallest currency unit; 0/null = free) / currency present in body -> { values } | { error }
+function parsePrice(body, current = {}) {
+  const values = {};
+  if ("price_cents" in body) {
+    const v = body.price_cents;
+    if (v === null || v === 0) values.price_cents = null;
+    else if (!Number.isInteger(v) || v < 0 || v > 100000000) return { error: "price_cents must be a whole number of cents" };
+    else values.price_cents = v;
+  }
+  if ("currency" in body) {
+    const c = body.currency ? String(body.currency).toUpperCase() : null;
+    if (c && !CURRENCIES.has(c)) return { error: "currency must be an ISO 4217 code" };
+    values.currency = c;
+  }
+  const price = "price_cents" in values ? values.price_cents : current.price_cents;
+  const currency = "currency" in values ? values.currency : current.currency;
+  if (price && !currency) return { error: "currency is required for paid meeting types" };
+  return { values };
+}
+
+// Opens the checkout for a freshly claimed pending booking -> { url, expiresAt }
+async function startCheckout(bk) {
+  const { sessionId, url } = await paymentProvider.createCheckout({
+    bookingId: bk.id,
+    amountCents: bk.amount_cents,
+    currency: bk.currency,
+    description: `${bk.title} — ${new Date(bk.start_time).toISOString()}`,
+    email: bk.recipient_email,
+    successUrl: `${BOOKING_BASE}/payment?booking=${bk.id}&status=success`,
+    cancelUrl: `${BOOKING_BASE}/payment?booking=${bk.id}&status=cancelled`,
+    expiresAt: new Date(bk.payment_expires_at).toISOString(),
+  });
+  await pool.query(
+    "UPDATE bookings SET payment_provider=$2, payment_session_id=$3 WHERE id=$1",
+    [bk.id, paymentProvider.name, sessionId]
+  );
+  return { url, expiresAt: new Date(bk.payment_expires_at).toISOString() };
+}
+
+// Payment went through. A booking that already expired still gets the slot if nobody took it
+// meanwhile; if someone did, the guest is refunded and told so. The calendar event (and with it
+// Google's invites) only comes once the slot is ours. Safe to call again for the same booking:
+// payment_locked_at is a short lease (like the outbox claim) so only one delivery works on it, and
+// a retry after a failed calendar call picks up the confirmed booking that still lacks its event.
+async function confirmPaidBooking(bookingId) {
+  const { rows: claimed } = await pool.query(
+    `UPDATE bookings SET paid_at=COALESCE(paid_at, now()), payment_locked_at=now()
+      WHERE id=$1
+        AND (status IN ('pending_payment','expired')
+             OR (status='confirmed' AND paid_at IS NOT NULL AND google_event_id IS NULL))
+        AND (payment_locked_at IS NULL OR payment_locked_at < now() - interval '5 minutes')
+      RETURNING id`,
+    [bookingId]
+  );
+  if (!claimed.length) return { bookingId, status: (await loadBooking(bookingId)).status };
+  try {
+    const bk = await loadBooking(bookingId);
+    const mt = await loadMeetingType(bk.meeting_type_id);
+
+    if (bk.status !== "confirmed") {
+      const { rows: holds } = await pool.query("SELECT id FROM slot_holds WHERE booking_id=$1", [bookingId]);
+      const confirmed = await withSlotLock(mt, bk.host_ids, new Date(bk.start_time), new Date(bk.end_time),
+        { holdId: holds[0]?.id }, async (client) => {
+          await client.query(
+            "UPDATE bookings SET status='confirmed', updated_at=now() WHERE id=$1 AND status IN ('pending_payment','expired')",
+            [bookingId]
+          );
+          await client.query("DELETE FROM slot_holds WHERE booking_id=$1", [bookingId]);
+          return true;
+        });
+      if (!confirmed) return await refundTakenBooking(bk);
+    }
+
+    await createBookingEvent(bk, mt);
+    await announceBooking(bookingId, mt);
+    return { bookingId, status: "confirmed" };
+  } finally {
+    await pool.query("UPDATE bookings SET payment_locked_at=NULL WHERE id=$1", [bookingId]);
+  }
+}
+
+// Paid, but someone else got the slot first: refund, cancel, and tell the guest and webhooks.
+// The refund goes first so a failed one leaves the booking paid but unconfirmed, and the
+// provider's retry comes back through confirmPaidBooking to try it again.
+async function refundTakenBooking(bk) {
+  await paymentProvider.refund(bk.payment_session_id);
+  await pool.query(
+    `UPDATE bookings SET status='cancelled', cancelled_at=now(), cancelled_by='system',
+            cancel_reason='slot taken before payment completed', updated_at=now()
+      WHERE id=$1`,
+    [bk.id]
+  );
+  await pool.query("DELETE FROM slot_holds WHERE booking_id=$1", [bk.id]);
+  const cancelled = await loadBooking(bk.id);
+  await sendBookingEmail(cancelled, guestAudience(cancelled), "payment_refunded_guest", () => ({}),
+    { payload: { kind: "payment_refunded" } });
+  await emitBookingEvent("booking.cancelled", bk.id);
+  return { bookingId: bk.id, status: "cancelled" };
+}
+
+// Unpaid in time (or the provider says the checkout expired): release the slot
+async function expirePendingBooking(bookingId) {
+  const { rowCount } = await pool.query(
+    `UPDATE bookings SET status='expired', updated_at=now()
+      WHERE id=$1 AND status='pending_payment' AND paid_at IS NULL`,
+    [bookingId]
+  );
+  if (!rowCount) return { bookingId, status: (await loadBooking(bookingId)).status };
+  await pool.query("DELETE FROM slot_holds WHERE booking_id=$1", [bookingId]);
+  await emitBookingEvent("booking.expired", bookingId);
+  return { bookingId, status: "expired" };
+}
+
+async function handlePaymentEvent({ type, sessionId }) {
+  const { rows } = await pool.query(
+    "SELECT id FROM bookings WHERE payment_provider=$1 AND payment_session_id=$2",
+    [paymentProvider.name, sessionId]
+  );
+  if (!rows.length) return { status: "unknown session" };
+  return type === "paid" ? confirmPaidBooking(rows[0].id) : expirePendingBooking(rows[0].id);
+}
+
+// Periodic sweep for pending bookings past their payment window
+async function expirePendingPayments() {
+  const { rows } = await pool.query(
+    `SELECT id FROM bookings
+      WHERE status='pending_payment' AND paid_at IS NULL AND payment_expires_at < now()
+      LIMIT 100`
+  );
+  for (const r of rows) await expirePendingBooking(r.id);
+  return rows.length;
+}
+function startPaymentSweeper() {
+  const sweep = () => expirePendingPayments().catch((e) => console.error("payment sweep failed:", e.message));
+  sweep();
+  return setInterval(sweep, PAYMENT_SWEEP_MS);
+}
+
+// POST /payments/webhook/:provider  (signed by the provider; 5xx makes it retry)
+app.post("/payments/webhook/:provider", async (req, res) => {
+  try {
+    if (!paymentProvider || paymentProvider.name !== req.params.provider) {
+      return res.status(404).json({ ok: false, error: "not found" });
+    }
+    let evt;
+    try {
+      evt = paymentProvider.parseWebhook(req.rawBody ? req.rawBody.toString("utf8") : "", req.headers);
+    } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+    if (!evt) return res.json({ ok: true, ignored: true });
+    return res.json({ ok: true, ...(await handlePaymentEvent(evt)) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* ---- fake checkout (PAYMENT_PROVIDER=fake only) ---- */
+function fakeCheckoutSession(req, res) {
+  const session = paymentProvider?.name === "fake" && paymentProvider.sessions.get(req.params.sessionId);
+  if (!session) res.status(404).json({ ok: false, error: "checkout session not found" });
+  return session || null;
+}
+
+// GET /payments/fake/checkout/:sessionId -> what a checkout page would show
+app.get("/payments/fake/checkout/:sessionId", async (req, res) => {
+  const session = fakeCheckoutSession(req, res);
+  if (!session) return;
+  return res.json({ ok: true, session });
+});
+
+// POST /payments/fake/checkout/:sessionId { outcome: 'paid' | 'expired' }
+// Runs the webhook the provider would send, signature and all.
+app.post("/payments/fake/checkout/:sessionId", async (req, res) => {
+  try {
+    const session = fakeCheckoutSession(req, res);
+    if (!session) return;
+    const outcome = (req.body || {}).outcome || "paid";
+    if (!["paid", "expired"].includes(outcome)) return res.status(400).json({ ok: false, error: "outcome must be paid or expired" });
+    session.status = outcome;
+    const { body, headers } = paymentProvider.signedEvent(outcome === "paid" ? "checkout.completed" : "checkout.expired", session.sessionId);
+    return res.json({ ok: true, ...(await handlePaymentEvent(paymentProvider.parseWebhook(body, headers))) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Booking management (cancel / reschedule) — guest links + host
+   ========================= */
+// Booking row plus what every booking flow needs: title, hosts, organizer, event calendar
+const BOOKING_SELECT = `
+  SELECT b.*, m.user_id, m.title, m.duration_minutes, m.timezone AS mt_timezone,
+         COALESCE(b.host_user_ids, ARRAY[m.user_id]) AS host_ids,
+         COALESCE(b.organizer_user_id, m.user_id) AS organizer_id,
+         COALESCE(b.calendar_id, 'primary') AS event_calendar_id,
+         (SELECT u.email FROM users u WHERE u.id = COALESCE(b.organizer_user_id, m.user_id)) AS organizer_email,
+         ARRAY(SELECT u.email FROM users u
+                WHERE u.id = ANY(COALESCE(b.host_user_ids, ARRAY[m.user_id]))
+                ORDER BY u.email) AS host_emails,
+         ARRAY(SELECT json_build_object('email', u.email, 'timezone', u.timezone, 'locale', u.locale)
+                 FROM users u
+                WHERE u.id = ANY(COALESCE(b.host_user_ids, ARRAY[m.user_id]))
+                ORDER BY u.email) AS host_profiles
+    FROM bookings b
+    JOIN meeting_types m ON m.id = b.meeting_type_id`;
+async function loadBooking(bookingId) {
+  const { rows } = await pool.query(`${BOOKING_SELECT} WHERE b.id=$1`, [bookingId]);
+  return rows[0] || null;
+}
+// by: 'guest' | 'host'  -> { ok } | { status, error }
+// Calendar writes after the booking row changed are best effort: the row is what counts and our
+// emails carry an .ics, so a disconnected calendar or a provider outage only gets logged
+async function syncBookingEvent(bk, what, fn) {
+  if (!bk.google_event_id) return;
+  try {
+    const provider = await getCalendarProvider(bk.organizer_id, bk.calendar_provider);
+    await fn(provider);
+  } catch (e) {
+    console.warn(`booking ${bk.id}: calendar ${what} failed:`, e.message);
+  }
+}
+
+async function cancelBooking(bk, { by, reason }) {
+  if (bk.status !== "confirmed") return { status: 409, error: `booking is ${bk.status}` };
+
+  const { rowCount } = await pool.query(
+    `UPDATE bookings
+        SET status='cancelled', cancelled_at=now(), cancelled_by=$2, cancel_reason=$3, updated_at=now(),
+            ics_sequence=ics_sequence+1
+      WHERE id=$1 AND status='confirmed'`,
+    [bk.id, by, reason || null]
+  );
+  if (!rowCount) return { status: 409, error: "booking already changed" };
+  await syncBookingEvent(bk, "delete", (provider) => provider.deleteEvent(bk.event_calendar_id, bk.google_event_id));
+  const cancelled = await loadBooking(bk.id);
+  await suppressBookingEmails(bk.id);
+  await emitBookingEvent("booking.cancelled", bk.id);
+
+  const extra = () => ({ reason: reason || "", by_host: by === "host", by_guest: by !== "host" });
+  await sendBookingEmail(cancelled, guestAudience(cancelled), "booking_cancelled_guest", extra,
+    { payload: { kind: "booking_cancelled" }, attachments: [icsAttachment("CANCEL", cancelled)] });
+  for (const host of hostAudiences(cancelled)) {
+    await sendBookingEmail(cancelled, host, "booking_cancelled_host", extra, { payload: { kind: "booking_cancelled" } });
+  }
+  return { ok: true };
+}
+
+// -> { ok, start, end } | { status, error }
+async function rescheduleBooking(bk, startTime, { by }) {
+  if (bk.status !== "confirmed") return { status: 409, error: `booking is ${bk.status}` };
+  const start = new Date(startTime);
+  if (Number.isNaN(start.getTime())) return { status: 400, error: "invalid start_time" };
+  const end = new Date(start.getTime() + Number(bk.duration_minutes) * 60 * 1000);
+  const startIso = start.toISOString();
+  const endIso = end.toISOString();
+
+  // The booking keeps its assigned hosts; only they need to be free at the new time
+  const mt = await loadMeetingType(bk.meeting_type_id);
+  const check = await checkSlotBookable({ ...mt, scheduling_type: "collective" }, start, { moving: bk, hostIds: bk.host_ids });
+  if (check.error) return { status: 409, error: check.error };
+
+  const moved = await withSlotLock(mt, bk.host_ids, start, end, { movingId: bk.id }, async (client) => {
+    const { rowCount } = await client.query(
+      `UPDATE bookings SET start_time=$2, end_time=$3, updated_at=now(), ics_sequence=ics_sequence+1
+        WHERE id=$1 AND status='confirmed' AND start_time=$4`,
+      [bk.id, startIso, endIso, bk.start_time]
+    );
+    return rowCount > 0;
+  });
+  if (moved === null) return { status: 409, error: "slot not available (just booked)" };
+  if (!moved) return { status: 409, error: "booking already changed" };
+
+  await syncBookingEvent(bk, "update", (provider) =>
+    provider.updateEvent(bk.event_calendar_id, bk.google_event_id, { start: startIso, end: endIso }));
+  await suppressBookingEmails(bk.id);
+  await scheduleBookingEmails(bk.id);
+  await emitBookingEvent("booking.rescheduled", bk.id, { previous: { start: new Date(bk.start_time).toISOString(), end: new Date(bk.end_time).toISOString() } });
+
+  const updated = await loadBooking(bk.id);
+  const links = manageLinks(bk.id, endIso);
+  const extra = (a) => ({
+    old_when: formatWhen(bk.start_time, bk.end_time, a.timezone, a.locale),
+    reschedule_url: links.rescheduleUrl, cancel_url: links.cancelUrl, by_guest: by !== "host",
+  });
+  await sendBookingEmail(updated, guestAudience(updated), "booking_rescheduled_guest", extra,
+    { payload: { kind: "booking_rescheduled" }, attachments: [icsAttachment("REQUEST", updated)] });
+  for (const host of hostAudiences(updated)) {
+    await sendBookingEmail(updated, host, "booking_rescheduled_host", extra, { payload: { kind: "booking_rescheduled" } });
+  }
+  return { ok: true, start: startIso, end: endIso };
+}
+
+function publicBooking(bk) {
+  return {
+    id: bk.id, meetingTypeId: bk.meeting_type_id, title: bk.title, status: bk.status,
+    recipient_name: bk.recipient_name, recipient_email: bk.recipient_email,
+    start: new Date(bk.start_time).toISOString(), end: new Date(bk.end_time).toISOString(),
+    location: bk.location, join_url: bk.join_url,
+  };
+}
+
+// Guest side: the token from the confirmation email identifies the booking
+async function bookingFromManageToken(token) {
+  const p = verifyToken(token, "manage");
+  if (!p?.bid) return null;
+  return loadBooking(p.bid);
+}
+
+// GET /manage/booking?token=  -> { ok, booking }
+app.get("/manage/booking", async (req, res) => {
+  try {
+    const bk = await bookingFromManageToken(req.query.token);
+    if (!bk) return res.status(400).json({ ok: false, error: "invalid token" });
+    return res.json({ ok: true, booking: publicBooking(bk) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /manage/booking/cancel { token, reason? }
+app.post("/manage/booking/cancel", async (req, res) => {
+  try {
+    const { token, reason } = req.body || {};
+    const bk = await bookingFromManageToken(token);
+    if (!bk) return res.status(400).json({ ok: false, error: "invalid token" });
+    const r = await cancelBooking(bk, { by: "guest", reason });
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /manage/booking/reschedule { token, start_time }
+app.post("/manage/booking/reschedule", async (req, res) => {
+  try {
+    const { token, start_time } = req.body || {};
+    if (!start_time) return res.status(400).json({ ok: false, error: "missing start_time" });
+    const bk = await bookingFromManageToken(token);
+    if (!bk) return res.status(400).json({ ok: false, error: "invalid token" });
+    const r = await rescheduleBooking(bk, start_time, { by: "guest" });
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
+    return res.json({ ok: true, start: r.start, end: r.end });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Host side: bookings on the signed-in user's meeting types, or ones they were assigned to
+async function loadOwnedBooking(userId, bookingId) {
+  const bk = await loadBooking(bookingId);
+  return bk && (bk.user_id === userId || bk.host_ids.includes(userId)) ? bk : null;
+}
+
+// POST /bookings/:id/cancel { reason? }
+app.post("/bookings/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const bk = await loadOwnedBooking(req.userId, req.params.id);
+    if (!bk) return res.status(404).json({ ok: false, error: "booking not found" });
+    const r = await cancelBooking(bk, { by: "host", reason: (req.body || {}).reason });
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /bookings/:id/reschedule { start_time }
+app.post("/bookings/:id/reschedule", requireAuth, async (req, res) => {
+  try {
+    const { start_time } = req.body || {};
+    if (!start_time) return res.status(400).json({ ok: false, error: "missing start_time" });
+    const bk = await loadOwnedBooking(req.userId, req.params.id);
+    if (!bk) return res.status(404).json({ ok: false, error: "booking not found" });
+    const r = await rescheduleBooking(bk, start_time, { by: "host" });
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
+    return res.json({ ok: true, start: r.start, end: r.end });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+
+/* =========================
+   Bookings dashboard (host) — list with filters + detail
+   ========================= */
+const PAGE_DEFAULT = 25;
+const PAGE_MAX = 100;
+const BOOKING_STATUSES = ["confirmed", "cancelled", "pending_payment", "expired"];
+
+function parseLimit(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, PAGE_MAX) : PAGE_DEFAULT;
+}
+// Opaque keyset cursors: base64url JSON of the last row's sort key
+function encodeCursor(obj) { return b64url(JSON.stringify(obj)); }
+function decodeCursor(str) {
+  try {
+    const c = JSON.parse(Buffer.from(String(str), "base64").toString("utf8"));
+    return c && c.t && c.id ? c : null;
+  } catch { return null; }
+}
+
+// GET /bookings?status=confirmed,cancelled&meeting_type_id=&from=&to=&q=&order=asc|desc&limit=&cursor=
+// Bookings on the user's meeting types plus ones they host. from/to filter on start_time.
+app.get("/bookings", requireAuth, async (req, res) => {
+  try {
+    const { meeting_type_id, from, to, q } = req.query;
+    const order = req.query.order === "asc" ? "asc" : "desc";
+    const limit = parseLimit(req.query.limit);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).json({ ok: false, error: "invalid cursor" });
+
+    const statuses = req.query.status ? String(req.query.status).split(",") : null;
+    if (statuses && statuses.some((st) => !BOOKING_STATUSES.includes(st))) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${BOOKING_STATUSES.join(", ")}` });
+    }
+    for (const [name, v] of [["from", from], ["to", to]]) {
+      if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+    }
+
+    const params = [req.userId];
+    const where = [`(m.user_id = $1 OR $1 = ANY(COALESCE(b.host_user_ids, ARRAY[m.user_id])))`];
+    const add = (sql, ...vals) => {
+      vals.forEach((v) => params.push(v));
+      where.push(sql.replace(/\$(\d)/g, (_, i) => `$${params.length - vals.length + Number(i)}`));
+    };
+    if (statuses) add("b.status = ANY($1::text[])", statuses);
+    if (meeting_type_id) add("b.meeting_type_id = $1", meeting_type_id);
+    if (from) add("b.start_time >= $1", new Date(from).toISOString());
+    if (to) add("b.start_time < $1", new Date(to).toISOString());
+    if (q) add("(b.recipient_email ILIKE $1 OR b.recipient_name ILIKE $1)", `%${String(q).replace(/[\\%_]/g, "\\$&")}%`);
+    if (cursor) add(`(b.start_time, b.id) ${order === "asc" ? ">" : "<"} ($1::timestamptz, $2::uuid)`, cursor.t, cursor.id);
+    params.push(limit + 1);
+
+    const { rows } = await pool.query(
+      `SELECT b.id, b.meeting_type_id, m.title, b.status, b.recipient_name, b.recipient_email,
+              b.start_time, b.end_time, b.created_at
+         FROM bookings b
+         JOIN meeting_types m ON m.id = b.meeting_type_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY b.start_time ${order}, b.id ${order}
+        LIMIT $${params.length}`,
+      params
+    );
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor({ t: last.start_time, id: last.id }) : null;
+    return res.json({ ok: true, items, nextCursor });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/bookings/:id", requireAuth, async (req, res) => {
+  try {
+    const bk = await loadOwnedBooking(req.userId, req.params.id);
+    if (!bk) return res.status(404).json({ ok: false, error: "booking not found" });
+    return res.json({
+      ok: true,
+      booking: {
+        ...publicBooking(bk),
+        hosts: bk.host_emails,
+        answers: bk.answers || {},
+        google_event_id: bk.google_event_id,
+        calendar_provider: bk.calendar_provider,
+        calendar_id: bk.event_calendar_id,
+        cancelled_at: bk.cancelled_at,
+        cancelled_by: bk.cancelled_by,
+        cancel_reason: bk.cancel_reason,
+        created_at: bk.created_at,
+        updated_at: bk.updated_at,
+      },
+    });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Calendar files (RFC 5545) — .ics attachments + per-user iCal feed
+   ========================= */
+const ICS_PRODID = "-//setthetime.com//Bookings//EN";
+
+function icsDate(t) { return new Date(t).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""); }
+// Control characters never reach the output: a raw CR/LF would start a property of its own
+const ICS_CONTROL_RE = /[\x00-\x08\x0a-\x1f\x7f]/g;
+function icsText(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n")
+    .replace(ICS_CONTROL_RE, "");
+}
+// Quoted parameter value (RFC 5545 quoted-string, with RFC 6868 ^ escapes for ^ and ")
+function icsParam(v) {
+  return `"${String(v).replace(ICS_CONTROL_RE, " ").replace(/\^/g, "^^").replace(/"/g, "^'")}"`;
+}
+function icsMailto(email) { return `mailto:${String(email).replace(ICS_CONTROL_RE, "")}`; }
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+function icsFold(line) {
+  const out = [];
+  let cur = "", len = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (len + n > 75) { out.push(cur); cur = " "; len = 1; }
+    cur += ch; len += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+function icsCalendar(method, events, extra = []) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${ICS_PRODID}`, "CALSCALE:GREGORIAN", `METHOD:${method}`, ...extra];
+  for (const ev of events) lines.push(...ev);
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// One VEVENT for a loadBooking() row. UID is stable per booking; SEQUENCE orders updates.
+function bookingVevent(bk, { description } = {}) {
+  const cancelled = bk.status === "cancelled";
+  return [
+    "BEGIN:VEVENT",
+    `UID:${bk.id}@setthetime.com`,
+    `DTSTAMP:${icsDate(bk.updated_at || Date.now())}`,
+    `SEQUENCE:${bk.ics_sequence || 0}`,
+    `DTSTART:${icsDate(bk.start_time)}`,
+    `DTEND:${icsDate(bk.end_time)}`,
+    `SUMMARY:${icsText(`${bk.title} with ${bk.recipient_name}`)}`,
+    ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+    ...(locationText(bk.location) || bk.join_url ? [`LOCATION:${icsText(locationText(bk.location) || bk.join_url)}`] : []),
+    ...(bk.join_url ? [`URL:${bk.join_url}`] : []),
+    `ORGANIZER:${icsMailto(bk.organizer_email)}`,
+    ...bk.host_emails.map((email) => `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:${icsMailto(email)}`),
+    `ATTENDEE;CN=${icsParam(bk.recipient_name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:${icsMailto(bk.recipient_email)}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+}
+
+// method: 'REQUEST' (new or moved) | 'CANCEL'  -> outbox attachment
+function icsAttachment(method, bk) {
+  const links = manageLinks(bk.id, bk.end_time);
+  const description = method === "CANCEL" ? "Cancelled" :
+    `Booked via setthetime.com${bk.join_url ? `\nJoin: ${bk.join_url}` : ""}\nReschedule: ${links.rescheduleUrl}\nCancel: ${links.cancelUrl}`;
+  const ics = icsCalendar(method, [bookingVevent(bk, { description })]);
+  return {
+    name: method === "CANCEL" ? "cancel.ics" : "invite.ics",
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: Buffer.from(ics, "utf8").toString("base64"),
+  };
+}
+
+async function feedUrl(userId, rotate = false) {
+  const { rows } = await pool.query(
+    `UPDATE users SET ical_feed_token = CASE WHEN $2 OR ical_feed_token IS NULL THEN $3 ELSE ical_feed_token END
+      WHERE id=$1 RETURNING ical_feed_token`,
+    [userId, rotate, crypto.randomBytes(24).toString("base64url")]
+  );
+  return rows.length ? `${API_BASE}/ical/${rows[0].ical_feed_token}.ics` : null;
+}
+
+// GET /calendar-feed -> { ok, url }  (created on first use; anyone with the URL can read the feed)
+app.get("/calendar-feed", requireAuth, async (req, res) => {
+  try { return res.json({ ok: true, url: await feedUrl(req.userId) }); }
+  catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+// Invalidates the old URL
+app.post("/calendar-feed/rotate", requireAuth, async (req, res) => {
+  try { return res.json({ ok: true, url: await feedUrl(req.userId, true) }); }
+  catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Subscribable feed: the user's bookings (as owner or host) from 30 days back. Cancelled
+// ones stay in with STATUS:CANCELLED so subscribed clients drop them; unpaid ones never show.
+app.get("/ical/:token.ics", async (req, res) => {
+  try {
+    const u = await pool.query("SELECT id FROM users WHERE ical_feed_token=$1", [req.params.token]);
+    if (!u.rows.length) return res.status(404).send("not found");
+    const userId = u.rows[0].id;
+
+    const { rows } = await pool.query(
+      `${BOOKING_SELECT}
+        WHERE (m.user_id = $1 OR $1 = ANY(COALESCE(b.host_user_ids, ARRAY[m.user_id])))
+          AND b.status IN ('confirmed','cancelled')
+          AND b.end_time > now() - interval '30 days'
+        ORDER BY b.start_time
+        LIMIT 1000`,
+      [userId]
+    );
+    const events = rows.map((bk) => bookingVevent(bk, { description: `Guest: ${bk.recipient_name} <${bk.recipient_email}>` }));
+    res.set("content-type", "text/calendar; charset=utf-8");
+    res.set("cache-control", "private, max-age=300");
+    return res.send(icsCalendar("PUBLISH", events, [`X-WR-CALNAME:${icsText("setthetime bookings")}`]));
+  } catch (e) { return res.status(500).send(e.message); }
+});
+
+/* =========================
+   Webhooks (outbound) — endpoints, signed deliveries, retry queue
+   ========================= */
+const WEBHOOK_EVENTS = ["booking.created", "booking.cancelled", "booking.rescheduled", "booking.expired", "meeting_type.updated"];
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 15000);
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_FIELDS = "id, url, events, active, created_at, updated_at";
+// Receivers are user-supplied URLs, so nothing on our side of the network (loopback, private,
+// link-local incl. cloud metadata) is reachable through them; WEBHOOK_ALLOW_PRIVATE=1 lifts that
+// for local test receivers
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) PRIVATE_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 (::ffff:127.0.0.1) is matched against the IPv4 ranges too
+function isPrivateAddress(ip) {
+  return PRIVATE_ADDRESSES.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+}
+
+// dns.lookup that refuses private answers; used as the socket's lookup, so the check applies to
+// the address we actually connect to (no re-resolving to sneak past it)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find((a) => isPrivateAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private address`));
+    callback(null, address, family);
+  });
+}
+
+// url -> error message | null, for registering an endpoint
+async function webhookUrlError(url) {
+  if (WEBHOOK_ALLOW_PRIVATE) return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  try {
+    const addrs = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    return addrs.some((a) => isPrivateAddress(a.address)) ? "url must not point to a private address" : null;
+  } catch {
+    return "url host does not resolve";
+  }
+}
+
+// POST without following redirects (a 3xx counts as a failed delivery) -> response status
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^\[|\]$/g, "");
+    // IP literals never go through lookup
+    if (!WEBHOOK_ALLOW_PRIVATE && net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error("url points to a private address"));
+    }
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { ...headers, "content-length": Buffer.byteLength(body) },
+      lookup: WEBHOOK_ALLOW_PRIVATE ? undefined : publicLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (resp) => { resp.resume(); resolve(resp.statusCode); });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// Receivers verify with the endpoint secret:
+//   X-Setthetime-Signature: t=<unix seconds>,v1=<base64url HMAC-SHA256(secret, `${t}.${raw body}`)>
+// (same HMAC + base64url scheme as signToken), and should reject stale t to stop replays.
+function signWebhook(secret, ts, body) {
+  return `t=${ts},v1=${b64url(crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest())}`;
+}
+
+// Queues one delivery per active endpoint of these users subscribed to `event`. Never throws:
+// a broken webhook setup must not fail the booking that triggered it.
+async function emitWebhook(userIds, event, data) {
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, event, payload)
+       SELECT id, $2, jsonb_build_object('event', $2::text, 'createdAt', $4::text, 'data', $3::jsonb)
+         FROM webhook_endpoints
+        WHERE user_id = ANY($1::uuid[]) AND active AND $2 = ANY(events)
+       RETURNING id`,
+      [[...new Set(userIds)], event, JSON.stringify(data), new Date().toISOString()]
+    );
+    if (rows.length) setImmediate(kickWebhooks);
+  } catch (e) { console.error(`webhook ${event} not queued:`, e.message); }
+}
+
+// Booking events go to the meeting type owner and every assigned host
+async function emitBookingEvent(event, bookingId, extra = {}) {
+  const bk = await loadBooking(bookingId);
+  if (!bk) return;
+  await emitWebhook([bk.user_id, ...bk.host_ids], event, {
+    booking: {
+      ...publicBooking(bk),
+      hosts: bk.host_emails,
+      answers: bk.answers || {},
+      cancelled_by: bk.cancelled_by,
+      cancel_reason: bk.cancel_reason,
+    },
+    ...extra,
+  });
+}
+async function emitMeetingTypeEvent(meetingTypeId) {
+  const mt = await loadMeetingType(meetingTypeId);
+  if (mt) await emitWebhook([mt.user_id], "meeting_type.updated", { meetingType: mt });
+}
+
+// Same claim/retry scheme as the email outbox
+async function claimWebhookDeliveries(limit) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+        SET status='sending', locked_at=now(), locked_by=$1, attempts=d.attempts+1
+       FROM webhook_endpoints e
+      WHERE e.id = d.endpoint_id
+        AND d.id IN (
+          SELECT id FROM webhook_deliveries
+           WHERE (status='queued' AND next_attempt_at <= now())
+              OR (status='sending' AND locked_at < now() - interval '5 minutes')
+           ORDER BY next_attempt_at, id
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED)
+      RETURNING d.*, e.url, e.secret`,
+    [WORKER_ID, limit]
+  );
+  return rows;
+}
+
+// POSTs one claimed delivery; any 2xx counts as delivered -> { ok } | { ok:false, error, failed }
+async function deliverWebhook(row) {
+  const body = JSON.stringify({ id: String(row.id), ...row.payload });
+  let responseStatus = null;
+  try {
+    responseStatus = await postWebhook(row.url, {
+      "content-type": "application/json",
+      "user-agent": "setthetime-webhooks",
+      "x-setthetime-event": row.event,
+      "x-setthetime-delivery": String(row.id),
+      "x-setthetime-signature": signWebhook(row.secret, Math.floor(Date.now() / 1000), body),
+    }, body);
+    if (responseStatus < 200 || responseStatus >= 300) throw new Error(`HTTP ${responseStatus}`);
+    await pool.query(
+      `UPDATE webhook_deliveries
+          SET status='delivered', delivered_at=now(), response_status=$2, last_error=NULL, locked_at=NULL, locked_by=NULL
+        WHERE id=$1`,
+      [row.id, responseStatus]
+    );
+    return { ok: true };
+  } catch (e) {
+    const failed = row.attempts >= row.max_attempts;
+    await pool.query(
+      `UPDATE webhook_deliveries
+          SET status=$2, response_status=$3, last_error=$4, next_attempt_at=$5, locked_at=NULL, locked_by=NULL
+        WHERE id=$1`,
+      [row.id, failed ? "failed" : "queued", responseStatus, e.message,
+       new Date(Date.now() + backoffMs(row.attempts)).toISOString()]
+    );
+    return { ok: false, error: e.message, failed };
+  }
+}
+
+let webhooksRunning = false;
+async function dispatchWebhooks() {
+  if (webhooksRunning) return;
+  webhooksRunning = true;
+  try {
+    for (;;) {
+      const rows = await claimWebhookDeliveries(OUTBOX_BATCH);
+      await Promise.all(rows.map(deliverWebhook)); // different receivers; don't let one slow one block the rest
+      if (rows.length < OUTBOX_BATCH) break;
+    }
+  } finally { webhooksRunning = false; }
+}
+function kickWebhooks() {
+  dispatchWebhooks().catch((e) => console.error("webhook dispatch failed:", e.message));
+}
+function startWebhookDispatcher() {
+  kickWebhooks();
+  return setInterval(kickWebhooks, WEBHOOK_POLL_MS);
+}
+
+function parseWebhookInput(body, partial) {
+  const out = {};
+  if (!partial || "url" in body) {
+    let u;
+    try { u = new URL(body.url); } catch { return { error: "invalid url" }; }
+    if (u.protocol !== "https:" && u.protocol !== "http:") return { error: "url must be http(s)" };
+    out.url = u.toString();
+  }
+  if (!partial || "events" in body) {
+    const events = body.events;
+    if (!Array.isArray(events) || !events.length || events.some((ev) => !WEBHOOK_EVENTS.includes(ev))) {
+      return { error: `events must be a non-empty subset of ${WEBHOOK_EVENTS.join(", ")}` };
+    }
+    out.events = [...new Set(events)];
+  }
+  if ("active" in body) {
+    if (typeof body.active !== "boolean") return { error: "active must be a boolean" };
+    out.active = body.active;
+  }
+  return { values: out };
+}
+
+app.get("/webhooks", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${WEBHOOK_FIELDS} FROM webhook_endpoints WHERE user_id=$1 ORDER BY created_at`,
+      [req.userId]
+    );
+    return res.json({ ok: true, items: rows, events: WEBHOOK_EVENTS });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// POST /webhooks { url, events[] } -> { ok, item, secret }  (the secret is only shown here)
+app.post("/webhooks", requireAuth, async (req, res) => {
+  try {
+    const { values, error } = parseWebhookInput(req.body || {}, false);
+    if (error) return res.status(400).json({ ok: false, error });
+    const urlError = await webhookUrlError(values.url);
+    if (urlError) return res.status(400).json({ ok: false, error: urlError });
+    const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_endpoints (user_id, url, secret, events, active)
+       VALUES ($1,$2,$3,$4,COALESCE($5, true)) RETURNING ${WEBHOOK_FIELDS}`,
+      [req.userId, values.url, secret, values.events, values.active ?? null]
+    );
+    return res.json({ ok: true, item: rows[0], secret });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// PATCH /webhooks/:id { url?, events?, active? }
+app.patch("/webhooks/:id", requireAuth, async (req, res) => {
+  try {
+    const { values, error } = parseWebhookInput(req.body || {}, true);
+    if (error) return res.status(400).json({ ok: false, error });
+    const urlError = values.url && (await webhookUrlError(values.url));
+    if (urlError) return res.status(400).json({ ok: false, error: urlError });
+    const keys = Object.keys(values);
+    if (!keys.length) return res.status(400).json({ ok: false, error: "nothing to update" });
+    const { rows } = await pool.query(
+      `UPDATE webhook_endpoints SET ${keys.map((k, i) => `${k}=$${i + 3}`).join(", ")}, updated_at=now()
+        WHERE id=$1 AND user_id=$2 RETURNING ${WEBHOOK_FIELDS}`,
+      [req.params.id, req.userId, ...keys.map((k) => values[k])]
+    );
+    if (!rows.length) return res.status(404).json({ ok: false, error: "webhook not found" });
+    return res.json({ ok: true, item: rows[0] });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post("/webhooks/:id/rotate-secret", requireAuth, async (req, res) => {
+  try {
+    const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    const { rowCount } = await pool.query(
+      "UPDATE webhook_endpoints SET secret=$3, updated_at=now() WHERE id=$1 AND user_id=$2",
+      [req.params.id, req.userId, secret]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "webhook not found" });
+    return res.json({ ok: true, secret });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.delete("/webhooks/:id", requireAuth, async (req, res) => {
+  try {
+    const { rowCount } = await pool.query("DELETE FROM webhook_endpoints WHERE id=$1 AND user_id=$2", [req.params.id, req.userId]);
+    if (!rowCount) return res.status(404).json({ ok: false, error: "webhook not found" });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// GET /webhooks/:id/deliveries?limit=&cursor=  -> { ok, items, nextCursor }  (newest first)
+app.get("/webhooks/:id/deliveries", requireAuth, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).json({ ok: false, error: "invalid cursor" });
+    const own = await pool.query("SELECT 1 FROM webhook_endpoints WHERE id=$1 AND user_id=$2", [req.params.id, req.userId]);
+    if (!own.rows.length) return res.status(404).json({ ok: false, error: "webhook not found" });
+
+    const { rows } = await pool.query(
+      `SELECT id, event, status, attempts, response_status, last_error, next_attempt_at, created_at, delivered_at, payload
+         FROM webhook_deliveries
+        WHERE endpoint_id=$1 AND ($2::bigint IS NULL OR id < $2)
+        ORDER BY id DESC
+        LIMIT $3`,
+      [req.params.id, cursor ? cursor.id : null, limit + 1]
+    );
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor({ t: last.created_at, id: last.id }) : null;
+    return res.json({ ok: true, items, nextCursor });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// Puts a delivery (any status) back in the queue with a fresh set of attempts
+app.post("/webhooks/:id/deliveries/:deliveryId/redeliver", requireAuth, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.deliveryId)) return res.status(404).json({ ok: false, error: "delivery not found" });
+    const { rowCount } = await pool.query(
+      `UPDATE webhook_deliveries d
+          SET status='queued', attempts=0, next_attempt_at=now(), locked_at=NULL, locked_by=NULL
+         FROM webhook_endpoints e
+        WHERE d.id=$1 AND d.endpoint_id=$2 AND e.id=d.endpoint_id AND e.user_id=$3
+          AND d.status <> 'sending'`,
+      [req.params.deliveryId, req.params.id, req.userId]
+    );
+    if (!rowCount) return res.status(404).json({ ok: false, error: "delivery not found or in flight" });
+    setImmediate(kickWebhooks);
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+/* =========================
+   Reminders & follow-ups (scheduled outbox rows)
+   ========================= */
+// Queues the reminder/follow-up rows for a confirmed booking. Dedupe keys carry the start
+// time, so running this again (restart backfill) is a no-op and a reschedule gets new rows.
+async function scheduleBookingEmails(bookingId) {
+  const bk = await loadBooking(bookingId);
+  if (!bk || bk.status !== "confirmed") return;
+  const mt = await loadMeetingType(bk.meeting_type_id);
+  const startMs = new Date(bk.start_time).getTime();
+  const endMs = new Date(bk.end_time).getTime();
+  const stamp = new Date(startMs).toISOString();
+  const links = manageLinks(bk.id, bk.end_time);
+  const now = Date.now();
+
+  for (const minutes of mt.reminder_minutes || []) {
+    const sendAt = startMs - minutes * MINUTE_MS;
+    if (sendAt <= now) continue;
+    const extra = (a) => ({ lead: formatLead(minutes, a.locale), reschedule_url: links.rescheduleUrl, cancel_url: links.cancelUrl });
+    await sendBookingEmail(bk, guestAudience(bk), "reminder_guest", extra, {
+      payload: { kind: "reminder", minutes },
+      sendAt, dedupeKey: `booking:${bk.id}:reminder:${minutes}:guest:${stamp}`,
+    });
+    for (const host of hostAudiences(bk)) {
+      await sendBookingEmail(bk, host, "reminder_host", extra, {
+        payload: { kind: "reminder", minutes },
+        sendAt, dedupeKey: `booking:${bk.id}:reminder:${minutes}:host:${host.email}:${stamp}`,
+      });
+    }
+  }
+
+  if (mt.followup_minutes != null) {
+    const sendAt = endMs + mt.followup_minutes * MINUTE_MS;
+    if (sendAt > now) {
+      await sendBookingEmail(bk, guestAudience(bk), "followup_guest", undefined, {
+        payload: { kind: "followup" },
+        sendAt, dedupeKey: `booking:${bk.id}:followup:guest:${stamp}`,
+      });
+    }
+  }
+}
+
+// Pending reminders/follow-ups of a booking whose status or time changed
+async function suppressBookingEmails(bookingId) {
+  await pool.query(
+    `UPDATE email_outbox
+        SET status='suppressed', last_error='booking changed'
+      WHERE booking_id=$1 AND status='queued'
+        AND payload::jsonb->>'kind' IN ('reminder','followup')`,
+    [bookingId]
+  );
+}
+
+// On startup: make sure every upcoming confirmed booking has its scheduled rows
+async function backfillBookingEmails() {
+  const { rows } = await pool.query(
+    `SELECT id FROM bookings WHERE status='confirmed' AND end_time > now() - interval '7 days'`
+  );
+  for (const r of rows) await scheduleBookingEmails(r.id);
+}
+
+/* =========================
+   Start server
+   ========================= */
+const PORT = process.env.PORT || 3000;
+if (require.main === module) {
+  ensureSchema()
+    .then(async () => {
+      await promoteAdmins();
+      await backfillHandles();
+      app.listen(PORT, () => console.log(`API listening on ${PORT}`));
+      if (mailMode === "send") startOutboxDispatcher();
+      startWebhookDispatcher();
+      if (paymentProvider) startPaymentSweeper();
+      backfillBookingEmails().catch((e) => console.error("reminder backfill failed:", e.message));
+    })
+    .catch((e) => { console.error("schema setup failed:", e.message); process.exit(1); });
+}
+
+// For tests / scripts: require("./server") without starting the listener or workers
+module.exports = {
+  app, pool, ensureSchema, makeMailTransport, setMailTransport, dispatchOutbox, dispatchWebhooks,
+  makeRateLimitStore, setRateLimitStore, makePaymentProvider, setPaymentProvider, expirePendingPayments,
+};